@@ -0,0 +1,183 @@
+/* -----------------------------------------------------------------------------
+ * AsyncChannel - awaitable producer/consumer queue on UltimateLinkedList
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - take() waits for an item; put() waits while the buffer is at capacity.
+ * - Items, waiting takers, and waiting putters are FIFO linked lists, so every
+ *   hand-off is O(1) and an aborted waiter leaves its queue in O(1).
+ * - close() rejects waiters but leaves buffered items to drain.
+ * - `for await` reads items until the channel is closed and drained.
+ * ----------------------------------------------------------------------------- */
+
+import { UltimateLinkedList } from "./iterator-based-linked-list.js";
+
+/**
+ * @template T
+ * @typedef {Object} Waiter
+ * @property {T} [value] Item a putter is waiting to deliver.
+ * @property {(value: any) => void} resolve
+ * @property {(reason: any) => void} reject
+ * @property {any} handle Node handle in the waiting queue.
+ * @property {() => void} release Detach the abort listener.
+ */
+
+/**
+ * @template T
+ * @implements {AsyncIterable<T>}
+ */
+class AsyncChannel {
+  /**
+   * @param {{ capacity?: number }} [options] Buffered items before put() waits;
+   *   0 makes every put() wait for a take().
+   */
+  constructor(options = {}) {
+    const { capacity = Infinity } = options;
+    if (capacity !== Infinity && !(Number.isInteger(capacity) && capacity >= 0)) {
+      throw new RangeError("capacity must be a non-negative integer or Infinity");
+    }
+    this._capacity = capacity;
+    this._closed = false;
+    /** @type {UltimateLinkedList<T>} */
+    this._buffer = new UltimateLinkedList();
+    /** @type {UltimateLinkedList<Waiter<T>>} */
+    this._takers = new UltimateLinkedList();
+    /** @type {UltimateLinkedList<Waiter<T>>} */
+    this._putters = new UltimateLinkedList();
+  }
+
+  /** Number of buffered items. */
+  get size() {
+    return this._buffer.length;
+  }
+
+  get capacity() {
+    return this._capacity;
+  }
+
+  get closed() {
+    return this._closed;
+  }
+
+  /**
+   * Deliver an item. Resolves once a taker has it or it is buffered.
+   * @param {T} value
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<void>} Rejects if the channel is or becomes closed, or
+   *   with the signal's reason if it aborts first.
+   */
+  put(value, options = {}) {
+    if (this._closed) return Promise.reject(closedError());
+
+    if (!this._takers.isEmpty()) {
+      settle(this._takers.shift(), value);
+      return Promise.resolve();
+    }
+    if (this._buffer.length < this._capacity) {
+      this._buffer.append(value);
+      return Promise.resolve();
+    }
+    return this._wait(this._putters, options.signal, value);
+  }
+
+  /**
+   * Receive the oldest item, waiting for one if none is buffered.
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<T>} Rejects once the channel is closed and drained, or
+   *   with the signal's reason if it aborts first.
+   */
+  take(options = {}) {
+    if (!this._buffer.isEmpty()) {
+      const value = this._buffer.shift();
+      if (!this._putters.isEmpty()) {
+        const putter = this._putters.shift();
+        this._buffer.append(putter.value);
+        settle(putter);
+      }
+      return Promise.resolve(value);
+    }
+    if (!this._putters.isEmpty()) {
+      const putter = this._putters.shift();
+      settle(putter);
+      return Promise.resolve(putter.value);
+    }
+    if (this._closed) return Promise.reject(closedError());
+
+    return this._wait(this._takers, options.signal);
+  }
+
+  /**
+   * Stop accepting items. Waiting takers and putters reject; buffered items
+   * can still be taken.
+   */
+  close() {
+    if (this._closed) return;
+
+    this._closed = true;
+    for (const queue of [this._takers, this._putters]) {
+      while (!queue.isEmpty()) {
+        const waiter = queue.shift();
+        waiter.release();
+        waiter.reject(closedError());
+      }
+    }
+  }
+
+  /** Yield items until the channel is closed and drained. */
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      let value;
+      try {
+        value = await this.take();
+      } catch (error) {
+        if (this._closed) return;
+        throw error;
+      }
+      yield value;
+    }
+  }
+
+  /**
+   * Queue a waiter until settle() or an abort removes it.
+   * @param {UltimateLinkedList<Waiter<T>>} queue
+   * @param {AbortSignal} [signal]
+   * @param {T} [value]
+   */
+  _wait(queue, signal, value) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      /** @type {Waiter<T>} */
+      const waiter = { value, resolve, reject, handle: null, release() {} };
+      if (signal) {
+        const onAbort = () => {
+          queue.removeHandle(waiter.handle);
+          reject(signal.reason);
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        waiter.release = () => signal.removeEventListener("abort", onAbort);
+      }
+      waiter.handle = queue.appendHandle(waiter);
+    });
+  }
+
+  get [Symbol.toStringTag]() {
+    return "AsyncChannel";
+  }
+}
+
+/**
+ * Resolve a waiter that has left its queue.
+ * @param {Waiter<any>} waiter
+ * @param {any} [value]
+ */
+function settle(waiter, value) {
+  waiter.release();
+  waiter.resolve(value);
+}
+
+function closedError() {
+  return new Error("Channel is closed");
+}
+
+export { AsyncChannel };
@@ -0,0 +1,187 @@
+/* -----------------------------------------------------------------------------
+ * ChangeListeners - change listener registry shared by lists and caches
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - Listeners subscribe to one event type or to all of them with "*", with
+ *   priorities, once, and an AbortSignal.
+ * - The onListenerError strategy reports listener errors once every listener
+ *   has run: "log" (the default) passes each to console.error, "rethrow"
+ *   throws the first, "aggregate" throws an AggregateError, and a function
+ *   receives (error, event) for each.
+ * - hold(fn) defers reporting until a change that records several events
+ *   completes.
+ * ----------------------------------------------------------------------------- */
+
+/** What to do with errors thrown by change listeners, unless given a function. */
+const LISTENER_ERROR_STRATEGIES = ["log", "rethrow", "aggregate"];
+
+/**
+ * @typedef {"log"|"rethrow"|"aggregate"|((error: unknown, event: Object) => void)} ListenerErrorStrategy
+ */
+
+/**
+ * @typedef {Object} ListenerOptions
+ * @property {AbortSignal} [signal] Unsubscribes the listener when aborted.
+ * @property {number} [priority] Higher priorities run first; ties run in
+ *   subscription order. Defaults to 0.
+ * @property {boolean} [once] Unsubscribe before the first call.
+ */
+
+/**
+ * Report listener failures under a strategy.
+ * @param {ListenerErrorStrategy} strategy
+ * @param {Array<{ error: unknown, event: Object }>} failures
+ * @throws {unknown} The first error under "rethrow".
+ * @throws {AggregateError} Every error under "aggregate".
+ */
+function reportListenerErrors(strategy, failures) {
+  if (typeof strategy === "function") {
+    for (const { error, event } of failures) strategy(error, event);
+  } else if (strategy === "log") {
+    for (const { error } of failures) console.error("Error in listener:", error);
+  } else if (strategy === "rethrow") {
+    throw failures[0].error;
+  } else {
+    throw new AggregateError(
+      failures.map(({ error }) => error),
+      `${failures.length} change listener call(s) failed`
+    );
+  }
+}
+
+/** Change listeners of one list or cache, highest priority first. */
+class ChangeListeners {
+  /**
+   * @param {ListenerErrorStrategy} [onListenerError]
+   * @throws {TypeError} If onListenerError is neither a function nor a known strategy.
+   */
+  constructor(onListenerError = "log") {
+    if (
+      typeof onListenerError !== "function" &&
+      !LISTENER_ERROR_STRATEGIES.includes(onListenerError)
+    ) {
+      throw new TypeError(`Unknown onListenerError strategy: ${onListenerError}`);
+    }
+    this.onListenerError = onListenerError;
+    this._entries = [];
+    /** @type {Array<{ error: unknown, event: Object }>|null} Failures held until a change completes. */
+    this._held = null;
+  }
+
+  /** Number of subscriptions. */
+  get size() {
+    return this._entries.length;
+  }
+
+  /** True while hold(fn) is running. */
+  get holding() {
+    return this._held !== null;
+  }
+
+  /**
+   * @param {string} type An event type, or "*" for every event.
+   * @param {(event: Object) => void} listener
+   * @param {ListenerOptions} [options]
+   * @returns {() => void} Unsubscribes the listener.
+   * @throws {TypeError} If type is not a string, listener is not a function,
+   *   or priority is not a number.
+   */
+  on(type, listener, options = {}) {
+    if (typeof type !== "string") {
+      throw new TypeError("Event type must be a string");
+    }
+    if (typeof listener !== "function") {
+      throw new TypeError("Listener must be a function");
+    }
+    const { signal, priority = 0, once = false } = options;
+    if (typeof priority !== "number" || Number.isNaN(priority)) {
+      throw new TypeError("priority must be a number");
+    }
+    if (signal?.aborted) return () => {};
+
+    const entry = { type, listener, priority, once: !!once, removed: false, release: null };
+    const index = this._entries.findIndex((other) => other.priority < priority);
+    this._entries.splice(index === -1 ? this._entries.length : index, 0, entry);
+    if (signal) {
+      const onAbort = () => this._remove(entry);
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.release = () => signal.removeEventListener("abort", onAbort);
+    }
+    return () => this._remove(entry);
+  }
+
+  /**
+   * Unsubscribe every subscription of listener to type. Omit listener to drop
+   * all listeners of the type, or both to drop every listener.
+   * @param {string} [type]
+   * @param {(event: Object) => void} [listener]
+   */
+  off(type, listener) {
+    for (const entry of [...this._entries]) {
+      if (
+        (type === undefined || entry.type === type) &&
+        (listener === undefined || entry.listener === listener)
+      ) {
+        this._remove(entry);
+      }
+    }
+  }
+
+  _remove(entry) {
+    const index = this._entries.indexOf(entry);
+    if (index === -1) return;
+
+    this._entries.splice(index, 1);
+    entry.removed = true;
+    entry.release?.();
+  }
+
+  /**
+   * Call the listeners subscribed to the event's type, then report their
+   * errors, or hold them while hold(fn) is running.
+   * @param {Object} event
+   * @param {ListenerErrorStrategy} [strategy] Overrides onListenerError.
+   */
+  notify(event, strategy = this.onListenerError) {
+    const failures = [];
+    for (const entry of [...this._entries]) {
+      if (entry.removed || (entry.type !== "*" && entry.type !== event.type)) continue;
+      if (entry.once) this._remove(entry);
+      try {
+        entry.listener(event);
+      } catch (error) {
+        failures.push({ error, event });
+      }
+    }
+    if (failures.length === 0) return;
+
+    if (this._held) this._held.push(...failures);
+    else reportListenerErrors(strategy, failures);
+  }
+
+  /**
+   * Run fn with listener errors held until it returns, so a change that
+   * records several events always completes before any is reported.
+   * @template R
+   * @param {() => R} fn
+   * @returns {R}
+   */
+  hold(fn) {
+    if (this._held) return fn();
+
+    this._held = [];
+    let failures;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      failures = this._held;
+      this._held = null;
+    }
+    if (failures.length > 0) reportListenerErrors(this.onListenerError, failures);
+    return result;
+  }
+}
+
+export { ChangeListeners };
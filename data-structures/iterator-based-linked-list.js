@@ -6,29 +6,133 @@
  * This implementation favors honest linked-list behavior over inflated claims:
  * - Doubly linked with head/tail sentinels for simple boundary handling.
  * - O(1) single-value endpoint operations and list-to-list concat by splicing.
+ * - Stable in-place merge sort that relinks nodes instead of reallocating them.
  * - Integer-indexed access traverses from the closer end.
- * - Array-like helpers for common operations, plus fail-fast cursors and observations.
- * - Node-transferring concat and split operations reject active transactions.
- * - Transactions snapshot values and can roll back in O(n).
- * - immutable() returns a snapshot, not a live view.
+ * - Array-like helpers for common operations, plus cursors and observations.
+ * - Cursors and iterators survive changes that keep their current node and
+ *   fail fast once it is removed; `strict` lists fail fast on any change.
+ * - An optional capacity bounds the list: overflowing inserts throw, drop the
+ *   oldest or newest elements, or are rejected, reporting values to onEvict.
+ *   uncapped(fn) lifts it while recorded changes are replayed.
+ * - Cursors move both ways, seek from the nearer position, and edit in O(1)
+ *   without invalidating themselves. Circular cursors wrap past either end.
+ * - rotate(k) relinks the sentinels instead of moving values one at a time.
+ * - splice() follows Array#splice and records one compact `splice` event.
+ * - Change events carry enough data to invert them and replay them on a
+ *   replica; a list that gives its nodes away reports only their count.
+ * - applyEvent()/applyPatch() replay another list's events to keep a replica,
+ *   rejecting events that do not match the replica's contents.
+ * - UltimateLinkedList.diff() finds a minimal add/remove/keep edit script with
+ *   Myers' algorithm; patch() applies one.
+ * - on(type)/once(type)/off() subscribe by event type with priorities and an
+ *   AbortSignal. onListenerError logs, rethrows, aggregates, or hands listener
+ *   errors to a function once the change that raised them is complete.
+ * - batch(fn), or `batching: "microtask"`, delivers events as one coalesced
+ *   `batch` event: adjacent adds and removes become ranged, and elements added
+ *   and removed within the batch drop out.
+ * - Node-transferring concat, insertListAt, splitAt, and extractRange roll
+ *   back by relinking nodes.
+ * - Transactions nest, support savepoints, and journal inverse operations so
+ *   rollback costs O(changes) and keeps node identity.
+ * - transaction(fn) commits or rolls back around sync and async callbacks;
+ *   while an async one is pending, writes from outside it are refused.
+ * - immutable() returns a snapshot, not a live view. ImmutableLinkedList is
+ *   persistent: updates return O(log n) versions that share structure.
+ * - *Handle inserts return node handles for O(1) removal and moves; handles
+ *   go stale once their element leaves the list.
+ * - view() returns a read-only live view; its slices are windows that follow
+ *   inserts and removals.
  * ----------------------------------------------------------------------------- */
 
+import { AsyncLocalStorage } from "node:async_hooks";
+import { ChangeListeners } from "./change-listeners.js";
+import { toComparator, keyComparators, mergeSortChain } from "./list-sorting.js";
+
+/**
+ * Tokens of the transaction(fn) runs whose callback the current async context
+ * started from. A call nests in a list's transaction only while the list's
+ * running token is among them; callbacks left over from a finished run, or
+ * from anywhere else, count as other writers.
+ * @type {AsyncLocalStorage<Set<object>>}
+ */
+const transactionScope = new AsyncLocalStorage();
+
+/**
+ * Records which list owns a group of nodes. Forwarding lets concat re-home a
+ * donor's nodes in O(1); clearing `list` orphans every node in the group.
+ * Walks compress forwarding paths, but never past a pinned token: rolling
+ * back the receiver's transaction re-homes a concat's nodes by clearing that
+ * token's forward link, so it stays on the path until the transaction ends.
+ */
+class Owner {
+  /** @param {UltimateLinkedList<any>|null} list */
+  constructor(list) {
+    this.list = list;
+    /** @type {Owner|null} */
+    this.forward = null;
+    this.pinned = false;
+  }
+}
+
 /** @template T */
 class Node {
-  /** @param {T} [value] */
-  constructor(value) {
+  /**
+   * @param {T} [value]
+   * @param {Owner|null} [owner]
+   */
+  constructor(value, owner = null) {
     /** @type {T|undefined} */
     this.value = value;
     /** @type {Node<T>|null} */
     this.next = null;
     /** @type {Node<T>|null} */
     this.prev = null;
+    /** @type {Owner|null} */
+    this.owner = owner;
+  }
+}
+
+/**
+ * Opaque reference to one element of an UltimateLinkedList, returned by the
+ * *Handle insert methods. Handle operations run in O(1), plus an O(n) index
+ * walk while change listeners or view windows read indices. A handle goes stale
+ * once its element leaves the list, including when concat or splitAt moves it
+ * to another list, and works again if a rollback brings the element back.
+ * @template T
+ */
+class NodeHandle {
+  /**
+   * @param {UltimateLinkedList<T>} list
+   * @param {Node<T>} node
+   */
+  constructor(list, node) {
+    this._list = list;
+    this._node = node;
+  }
+
+  /** True while the element is still in the handle's list. */
+  valid() {
+    return this._list._owns(this._node);
+  }
+
+  /** @throws {Error} If the handle is stale. */
+  get value() {
+    return this._list._handleNode(this).value;
+  }
+
+  /** @throws {Error} If the handle is stale. */
+  set value(value) {
+    this._list._assertWritable();
+    const node = this._list._handleNode(this);
+    this._list._updateNode(node, this._list._indexForChange(node), value);
   }
 }
 
 /**
- * Fail-fast cursor over an UltimateLinkedList. Call reset() to rebind after a
- * structural list change.
+ * Fail-fast cursor over an UltimateLinkedList. Cursors survive changes that
+ * keep their current node and fail fast once it is removed or, on strict
+ * lists, after any structural change not made through the cursor itself.
+ * Call reset() to rebind.
  * @template T
  */
 class Cursor {
@@ -41,38 +145,194 @@ class Cursor {
     this._list = list;
     this._node = node;
     this._index = index;
+    /** The list's modCount when _index was last known to be right. */
+    this._indexStamp = list._modCount;
     this._direction = 1;
+    this._circular = false;
     this._terminal = false;
     this._expectedModCount = list._modCount;
   }
 
   _assertUnmodified() {
-    if (this._expectedModCount !== this._list._modCount) {
+    const list = this._list;
+    const node = this._node;
+    const stale = list._strict
+      ? this._expectedModCount !== list._modCount
+      : node !== null && node !== list._head && node !== list._tail && !list._owns(node);
+    if (stale) {
       throw new Error("Concurrent modification during cursor traversal");
     }
   }
 
+  _assertElement() {
+    if (!this.valid()) {
+      throw new RangeError("Cursor is not positioned on an element");
+    }
+  }
+
+  /** @param {number} index The cursor's index in the list as it is now. */
+  _setIndex(index) {
+    this._index = index;
+    this._indexStamp = this._list._modCount;
+  }
+
+  /** The cursor's index, or null if the list changed since it was last set. */
+  _knownIndex() {
+    return this._indexStamp === this._list._modCount ? this._index : null;
+  }
+
+  /**
+   * Index of the cursor's node. Cursors are not told about changes, so after
+   * one this walks toward the head once and caches the result.
+   */
+  _currentIndex() {
+    const known = this._knownIndex();
+    if (known !== null) return known;
+    this._setIndex(this._list._indexOfNode(this._node));
+    return this._index;
+  }
+
+  /**
+   * Carry a known index across an edit made through this cursor. An edit
+   * that made further changes, such as a capacity trim, leaves it unknown.
+   * @param {number} modCount The list's modCount before the edit.
+   * @param {number|null} index The cursor's index after the edit, if known.
+   */
+  _editedFrom(modCount, index) {
+    if (index !== null && this._list._modCount === modCount + 1) this._setIndex(index);
+  }
+
+  /** Adopt the list's current structure after an edit made through this cursor. */
+  _sync() {
+    this._expectedModCount = this._list._modCount;
+  }
+
   /** @param {number} dir */
   setDirection(dir) {
     this._direction = dir === -1 ? -1 : 1;
     return this;
   }
 
-  next() {
+  /**
+   * In circular mode, steps and removals past either end wrap to the other
+   * end instead of leaving the list, so iteration only ends once the list is
+   * empty.
+   * @param {boolean} [circular]
+   */
+  setCircular(circular = true) {
+    this._circular = !!circular;
+    return this;
+  }
+
+  /**
+   * Move one step toward the tail (dir 1) or head (dir -1). Steps stop on the
+   * sentinel past either end, so a cursor can turn around without restarting.
+   * @param {number} dir
+   */
+  _step(dir) {
     this._assertUnmodified();
     if (this._terminal) return this;
 
+    if (this._circular && this._node) {
+      const end = dir === 1 ? this._list._tail : this._list._head;
+      if (this._node === end || (dir === 1 ? this._node.next : this._node.prev) === end) {
+        this._node = end;
+        this._wrap(dir);
+        return this;
+      }
+    }
     if (!this._node) {
-      this._node =
-        this._direction === 1 ? this._list._head.next : this._list._tail.prev;
-      this._index = this._direction === 1 ? 0 : this._list.length - 1;
+      this._node = dir === 1 ? this._list._head.next : this._list._tail.prev;
+      this._setIndex(dir === 1 ? 0 : this._list.length - 1);
+    } else if (dir === 1 ? this._node !== this._list._tail : this._node !== this._list._head) {
+      this._node = dir === 1 ? this._node.next : this._node.prev;
+      this._index += dir; // a stale index stays stale
+    }
+    return this;
+  }
+
+  next() {
+    return this._step(this._direction);
+  }
+
+  /** Step back against the cursor's direction. */
+  prev() {
+    return this._step(-this._direction);
+  }
+
+  /**
+   * Move to an integer index, walking from the current position or the nearer
+   * end, whichever is shorter. Invalid or out-of-bounds indices leave the
+   * cursor off the list, like cursorAt().
+   * @param {number} index
+   */
+  seek(index) {
+    this._assertUnmodified();
+    const list = this._list;
+    const target = list._normalizeIndex(index);
+    this._terminal = target < 0 || target >= list._size;
+    if (this._terminal) {
+      this._node = null;
+      this._index = -1;
+      return this;
+    }
+
+    const fromEnds = Math.min(target, list._size - 1 - target);
+    const known = this.valid() ? this._knownIndex() : null;
+    if (known !== null && Math.abs(target - known) < fromEnds) {
+      const dir = target > known ? 1 : -1;
+      while (this._index !== target) {
+        this._node = dir === 1 ? this._node.next : this._node.prev;
+        this._index += dir;
+      }
     } else {
-      this._node = this._direction === 1 ? this._node.next : this._node.prev;
-      this._index += this._direction;
+      this._node = list._nodeAt(target).node;
+      this._setIndex(target);
     }
     return this;
   }
 
+  /** Copy this cursor's position, direction, and structure binding. */
+  clone() {
+    this._assertUnmodified();
+    const copy = new Cursor(this._list, this._node, this._index);
+    copy._indexStamp = this._indexStamp;
+    copy._direction = this._direction;
+    copy._circular = this._circular;
+    copy._terminal = this._terminal;
+    return copy;
+  }
+
+  /** Current element index, or -1 off the list. */
+  index() {
+    return this.valid() ? this._currentIndex() : -1;
+  }
+
+  /** True when the cursor is on the first element. */
+  atStart() {
+    return this.valid() && this._node.prev === this._list._head;
+  }
+
+  /** True when the cursor is on the last element. */
+  atEnd() {
+    return this.valid() && this._node.next === this._list._tail;
+  }
+
+  /**
+   * Signed number of steps toward the tail from this cursor to another.
+   * @param {Cursor<T>} other
+   * @throws {TypeError} If the cursors belong to different lists.
+   * @throws {RangeError} If either cursor is not on an element.
+   */
+  distanceTo(other) {
+    if (!(other instanceof Cursor) || other._list !== this._list) {
+      throw new TypeError("Cursors belong to different lists");
+    }
+    this._assertElement();
+    other._assertElement();
+    return other._currentIndex() - this._currentIndex();
+  }
+
   value() {
     return this.valid() ? this._node.value : undefined;
   }
@@ -86,28 +346,412 @@ class Cursor {
     );
   }
 
+  /**
+   * Insert before the current element in O(1); the cursor stays on its element.
+   * @param {T} value
+   * @throws {RangeError} If the cursor is not on an element.
+   */
+  insertBefore(value) {
+    this._assertElement();
+    this._list._assertWritable();
+    const index = this._knownIndex();
+    const modCount = this._list._modCount;
+    try {
+      this._list._addAfter(this._node.prev, value, index);
+    } finally {
+      this._editedFrom(modCount, index === null ? null : index + 1);
+      this._sync(); // listener errors surface after the insert
+    }
+    return this;
+  }
+
+  /**
+   * Insert after the current element in O(1); the cursor stays on its element.
+   * @param {T} value
+   * @throws {RangeError} If the cursor is not on an element.
+   */
+  insertAfter(value) {
+    this._assertElement();
+    this._list._assertWritable();
+    const index = this._knownIndex();
+    const modCount = this._list._modCount;
+    try {
+      this._list._addAfter(this._node, value, index === null ? null : index + 1);
+    } finally {
+      this._editedFrom(modCount, index);
+      this._sync();
+    }
+    return this;
+  }
+
+  /**
+   * Remove the current element in O(1) and move to the following element in
+   * the cursor's direction.
+   * @returns {T|undefined} The removed value, or undefined off the list.
+   */
+  remove() {
+    if (!this.valid()) return undefined;
+    this._list._assertWritable();
+
+    const node = this._node;
+    const index = this._knownIndex();
+    const modCount = this._list._modCount;
+    this._node = this._direction === 1 ? node.next : node.prev;
+    try {
+      return this._list._removeNode(node, index);
+    } finally {
+      const next = index === null || this._direction === 1 ? index : index - 1;
+      this._editedFrom(modCount, next);
+      if (this._circular) this._wrap(this._direction);
+      this._sync();
+    }
+  }
+
+  /** Move from the sentinel past one end to the element at the other end. */
+  _wrap(dir) {
+    const list = this._list;
+    if (dir === 1 && this._node === list._tail) {
+      this._node = list._head.next;
+      this._setIndex(0);
+    } else if (dir === -1 && this._node === list._head) {
+      this._node = list._tail.prev;
+      this._setIndex(list._size - 1);
+    }
+  }
+
+  /**
+   * Replace the current element's value in O(1).
+   * @param {T} value
+   * @returns {T} The previous value.
+   * @throws {RangeError} If the cursor is not on an element.
+   */
+  replace(value) {
+    this._assertElement();
+    this._list._assertWritable();
+    return this._list._updateNode(this._node, this._knownIndex(), value);
+  }
+
   reset(toEnd = false) {
     this._expectedModCount = this._list._modCount;
     this._node = toEnd ? this._list._tail.prev : this._list._head.next;
-    this._index = toEnd ? this._list.length - 1 : 0;
+    this._setIndex(toEnd ? this._list.length - 1 : 0);
     this._terminal = false;
     return this;
   }
 
+  /**
+   * Iterate from the current position, moving the cursor as values are read.
+   * A circular cursor keeps yielding until the list is empty.
+   * @param {number} [direction] 1 toward the tail, -1 toward the head.
+   */
+  *values(direction = this._direction) {
+    const dir = direction === -1 ? -1 : 1;
+    if (!this.valid()) this._step(dir);
+    while (this.valid()) {
+      const value = this._node.value;
+      this._step(dir);
+      yield value;
+    }
+  }
+
   [Symbol.iterator]() {
-    return {
-      next: () => {
-        if (!this.valid()) this.next();
-        if (!this.valid()) return { done: true, value: undefined };
+    return this.values();
+  }
+}
 
-        const value = this.value();
-        this.next();
-        return { done: false, value };
-      },
-    };
+/** @returns {value is PromiseLike<unknown>} */
+function isThenable(value) {
+  return typeof value?.then === "function";
+}
+
+/**
+ * Begin a unit of work (a list's transaction or a TransactionGroup), run fn,
+ * then commit or roll back, waiting for fn's promise if it returns one.
+ * @param {UltimateLinkedList<any>|TransactionGroup<any>} owner
+ * @param {Function} fn
+ * @param {() => void} [onSettled] Called right after the commit or rollback.
+ */
+function runInTransaction(owner, fn, onSettled = () => {}) {
+  const unit = owner instanceof UltimateLinkedList ? owner.beginTransaction() : owner;
+  unit.begin();
+
+  let result;
+  try {
+    result = fn(unit);
+  } catch (error) {
+    try {
+      unit.rollback();
+    } finally {
+      onSettled();
+    }
+    throw error;
+  }
+  if (!isThenable(result)) {
+    try {
+      unit.commit();
+    } finally {
+      onSettled();
+    }
+    return result;
+  }
+
+  return Promise.resolve(result).then(
+    (value) => {
+      try {
+        unit.commit();
+      } finally {
+        onSettled();
+      }
+      return value;
+    },
+    (error) => {
+      try {
+        unit.rollback();
+      } finally {
+        onSettled();
+      }
+      throw error;
+    }
+  );
+}
+
+/**
+ * Commit or roll back every member transaction even if a listener throws,
+ * then rethrow its error, or an AggregateError if several lists threw.
+ * @param {Transaction<any>[]} transactions
+ * @param {"commit"|"rollback"} method
+ */
+function finishAll(transactions, method) {
+  const errors = [];
+  for (const transaction of transactions) {
+    try {
+      transaction[method]();
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+  if (errors.length === 1) throw errors[0];
+  if (errors.length > 1) {
+    throw new AggregateError(errors, `Change listeners failed on ${errors.length} lists`);
+  }
+}
+
+/** Orders journal entries across lists so a TransactionGroup can undo them newest first. */
+let journalClock = 0;
+
+/** Source of TransactionGroup ids, which transaction events carry instead of the group. */
+let groupCount = 0;
+
+/**
+ * Values of count linked nodes starting at first.
+ * @param {Node<any>} first
+ * @param {number} count
+ */
+function chainValues(first, count) {
+  const values = new Array(count);
+  for (let node = first, index = 0; index < count; node = node.next, index++) {
+    values[index] = node.value;
+  }
+  return values;
+}
+
+/** ToIntegerOrInfinity from the spec, as Array#splice applies it. */
+function toIntegerOrInfinity(value) {
+  const number = +value; // unlike Number(), throws on BigInt as ToNumber does
+  if (Number.isNaN(number) || number === 0) return 0;
+  return Number.isFinite(number) ? Math.trunc(number) : number;
+}
+
+/**
+ * Shortest edit path from a to b by Myers' O((n + m) * d) algorithm, where d
+ * is the number of inserts and deletes. Keeps the band of diagonals each
+ * edit could reach to walk the path back, so space is O(n + m + d^2).
+ * @template T
+ * @param {T[]} a
+ * @param {T[]} b
+ * @param {(a: T, b: T) => boolean} equals
+ * @returns {Array<"keep"|"remove"|"add">} Operations in order.
+ */
+function myersPath(a, b, equals) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const frontier = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    trace.push(frontier.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]);
+      let x = down ? frontier[offset + k + 1] : frontier[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && equals(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      frontier[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  const path = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] holds diagonals -d - 1 to d + 1.
+    const band = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && band[d + k] < band[d + k + 2]);
+    const prevX = band[d + 1 + (down ? k + 1 : k - 1)];
+    const prevY = prevX - (down ? k + 1 : k - 1);
+    while (x > prevX && y > prevY) {
+      path.push("keep");
+      x--;
+      y--;
+    }
+    if (d > 0) path.push(down ? "add" : "remove");
+    x = prevX;
+    y = prevY;
+  }
+  return path.reverse();
+}
+
+/** What an insert does when it would take a bounded list past its capacity. */
+const OVERFLOW_POLICIES = ["throw", "drop-oldest", "drop-newest", "reject"];
+
+/** When events recorded outside batch(fn) are delivered. */
+const BATCHING_MODES = ["none", "microtask"];
+
+/** @param {Object} event */
+function countOf(event) {
+  return event.values ? event.values.length : 1;
+}
+
+/**
+ * Follow the element at position back through pending add, remove, and
+ * update events until the add that inserted it or any other kind of event.
+ * @param {Object[]} pending
+ * @param {number} position Position after the last pending event.
+ * @returns {{ added: number, offset: number, updates: number[] }} added is the
+ *   index of the inserting add event, or -1; updates lists the indices of
+ *   updates to the element, newest first.
+ */
+function traceElement(pending, position) {
+  const updates = [];
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const event = pending[i];
+    if (event.type === "add") {
+      const count = countOf(event);
+      if (position >= event.index && position < event.index + count) {
+        return { added: i, offset: position - event.index, updates };
+      }
+      if (position >= event.index + count) position -= count;
+    } else if (event.type === "remove" || event.type === "evict") {
+      if (position >= event.index) position += countOf(event);
+    } else if (event.type === "update") {
+      if (event.index === position) updates.push(i);
+    } else {
+      break;
+    }
+  }
+  return { added: -1, offset: 0, updates };
+}
+
+/**
+ * Erase an element that a pending add inserted: drop it from the add, drop
+ * its updates, and shift the indices of later events that counted it.
+ * @param {Object[]} pending
+ * @param {{ added: number, offset: number, updates: number[] }} trace
+ */
+function eraseAddedElement(pending, { added, offset, updates }) {
+  const add = pending[added];
+  let position = add.index + offset;
+  for (let i = added + 1; i < pending.length; i++) {
+    const event = pending[i];
+    if (event.type === "add") {
+      if (event.index <= position) position += countOf(event);
+      else event.index--;
+    } else if (event.type === "remove" || event.type === "evict") {
+      if (event.index < position) position -= countOf(event);
+      else event.index--;
+    } else if (event.index > position) {
+      event.index--;
+    }
+  }
+
+  const dropped = new Set(updates);
+  if (add.values?.length > 2) add.values.splice(offset, 1);
+  else if (add.values) pending[added] = { type: "add", index: add.index, value: add.values[1 - offset] };
+  else dropped.add(added);
+  for (const index of [...dropped].sort((a, b) => b - a)) pending.splice(index, 1);
+}
+
+/**
+ * Add an event to a pending batch, coalescing it with earlier ones: an add or
+ * remove next to the previous one of its type extends it into a ranged event
+ * with `values`; removing an element added in the batch erases both; updates
+ * fold into the add or update before them, and into a later remove.
+ * @param {Object[]} pending Events not yet delivered; rewritten in place.
+ * @param {Object} event
+ */
+function coalesceInto(pending, event) {
+  if (event.type === "remove" || event.type === "update") {
+    const trace = traceElement(pending, event.index);
+    if (event.type === "remove" && trace.added !== -1) {
+      eraseAddedElement(pending, trace);
+      return;
+    }
+    if (event.type === "update" && trace.added !== -1) {
+      const add = pending[trace.added];
+      if (add.values) add.values[trace.offset] = event.newValue;
+      else add.value = event.newValue;
+      return;
+    }
+    if (event.type === "update" && trace.updates.length > 0) {
+      pending[trace.updates[0]].newValue = event.newValue;
+      return;
+    }
+    if (event.type === "remove" && trace.updates.length > 0) {
+      event.value = pending[trace.updates.at(-1)].oldValue;
+      for (const index of trace.updates) pending.splice(index, 1);
+    }
   }
+
+  const last = pending.at(-1);
+  if (last?.type === event.type && (event.type === "add" || event.type === "remove" || event.type === "evict")) {
+    const values = last.values ?? [last.value];
+    const count = values.length;
+    const append = event.type === "add" ? event.index === last.index + count : event.index === last.index;
+    const prepend = event.type === "add" ? event.index === last.index : event.index === last.index - 1;
+    if (append || prepend) {
+      if (append) values.push(event.value);
+      else values.unshift(event.value);
+      pending[pending.length - 1] = { type: event.type, index: Math.min(last.index, event.index), values };
+      return;
+    }
+  }
+  pending.push(event);
 }
 
+/** @typedef {import("./change-listeners.js").ListenerOptions} ListenerOptions */
+
+/**
+ * @template T
+ * @typedef {Object} ListOptions
+ * @property {boolean} [observable] Record change events for listeners.
+ * @property {boolean} [strict]
+ * @property {number} [capacity] Most elements the list holds; defaults to Infinity.
+ * @property {"throw"|"drop-oldest"|"drop-newest"|"reject"} [overflow] Policy
+ *   when an insert would exceed capacity; defaults to "throw".
+ * @property {(value: T) => void} [onEvict] Receives dropped or rejected values.
+ * @property {"log"|"rethrow"|"aggregate"|((error: unknown, event: Object) => void)} [onListenerError]
+ *   What to do with listener errors once every listener has run: log them
+ *   (the default), rethrow the first, throw an AggregateError of all of them,
+ *   or pass each to a function.
+ * @property {"none"|"microtask"} [batching] With "microtask", events recorded
+ *   outside batch(fn) are coalesced and delivered as one `batch` event on the
+ *   next microtask. Defaults to "none".
+ */
+
 /**
  * @template T
  * @implements {Iterable<T>}
@@ -115,7 +759,10 @@ class Cursor {
 class UltimateLinkedList {
   /**
    * @param {Iterable<T>} [iterable]
-   * @param {{ observable?: boolean }} [options]
+   * @param {ListOptions<T>} [options]
+   *   `strict` makes cursors and iterators fail fast after any structural change.
+   * @throws {RangeError} If capacity is not a non-negative integer or Infinity.
+   * @throws {TypeError} If overflow names an unknown policy or onEvict is not a function.
    */
   constructor(iterable, options = {}) {
     /** @type {Node<T>} */
@@ -125,16 +772,77 @@ class UltimateLinkedList {
     this._head.next = this._tail;
     this._tail.prev = this._head;
     this._size = 0;
+    this._owner = new Owner(this);
     this._observable = !!options.observable;
-    this._listeners = [];
+    this._strict = !!options.strict;
     this._transaction = null;
+    /** @type {Promise<void>|null} Settles once queued async transactions finish. */
+    this._transactionTail = null;
+    /** Async transaction(fn) calls running or queued and not yet settled. */
+    this._pendingWork = 0;
+    /** @type {object|null} Token of the outermost transaction(fn) run in progress. */
+    this._run = null;
     this._modCount = 0;
+    /** @type {Set<WeakRef<ListView<T>>>} View windows that follow changes. */
+    this._trackers = new Set();
+
+    /** Bumped once per reported change, however many events it records. */
+    this._revision = 0;
+    /** Open uncapped(fn) calls; capacity is not enforced while any is open. */
+    this._uncappedDepth = 0;
+
+    /** @type {Object[]} Coalesced events waiting for flush(). */
+    this._pendingEvents = [];
+    this._batchDepth = 0;
+    this._flushScheduled = false;
+
+    const {
+      capacity = Infinity,
+      overflow = "throw",
+      onEvict,
+      onListenerError = "log",
+      batching = "none",
+    } = options;
+    if (capacity !== Infinity && !(Number.isInteger(capacity) && capacity >= 0)) {
+      throw new RangeError("capacity must be a non-negative integer or Infinity");
+    }
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new TypeError(`Unknown overflow policy: ${overflow}`);
+    }
+    if (onEvict !== undefined && typeof onEvict !== "function") {
+      throw new TypeError("onEvict must be a function");
+    }
+    if (!BATCHING_MODES.includes(batching)) {
+      throw new TypeError(`Unknown batching mode: ${batching}`);
+    }
+    this._capacity = capacity;
+    this._overflow = overflow;
+    this._onEvict = onEvict;
+    this._listeners = new ChangeListeners(onListenerError);
+    this._batching = batching;
 
     if (iterable != null) {
-      for (const value of iterable) this._insertBeforeTail(value);
+      if (capacity === Infinity) {
+        for (const value of iterable) this._insertBeforeTail(value);
+      } else {
+        for (const value of iterable) this.append(value);
+      }
     }
   }
 
+  get capacity() {
+    return this._capacity;
+  }
+
+  /**
+   * Grows with every change the list reports to listeners. Events a single
+   * mutator call records, such as each add of a variadic push and the
+   * evictions it causes, arrive under the same revision.
+   */
+  get revision() {
+    return this._revision;
+  }
+
   get length() {
     return this._size;
   }
@@ -167,8 +875,16 @@ class UltimateLinkedList {
    * @param {T} value
    */
   _insertAfter(prev, value) {
-    const node = new Node(value);
+    return this._linkAfter(prev, new Node(value));
+  }
+
+  /**
+   * @param {Node<T>} prev
+   * @param {Node<T>} node
+   */
+  _linkAfter(prev, node) {
     const next = prev.next;
+    node.owner = this._owner;
     node.prev = prev;
     node.next = next;
     prev.next = node;
@@ -190,43 +906,461 @@ class UltimateLinkedList {
     next.prev = prev;
     node.prev = null;
     node.next = null;
+    node.owner = null;
     this._size--;
     return node.value;
   }
 
-  _changed() {
-    this._modCount++;
+  /**
+   * True when a non-sentinel node is still linked into this list.
+   * @param {Node<T>} node
+   */
+  _owns(node) {
+    let owner = node.owner;
+    if (!owner) return false;
+    if (owner.forward) {
+      const path = [];
+      for (; owner.forward; owner = owner.forward) path.push(owner);
+      let target = owner;
+      for (let index = path.length - 1; index >= 0; index--) {
+        path[index].forward = target;
+        if (path[index].pinned) target = path[index];
+      }
+      node.owner = target;
+    }
+    return owner.list === this;
   }
 
-  /** @param {Object} event */
-  _record(event) {
-    if (!this._observable) return;
+  /** Detach every current node from this list in O(1). */
+  _orphanNodes() {
+    this._owner.list = null;
+    this._owner = new Owner(this);
+  }
 
-    if (this._transaction?._active) {
-      this._transaction.events.push(event);
-      return;
-    }
+  /** @param {ListView<T>} view A window that must follow changes. */
+  _track(view) {
+    this._trackers.add(new WeakRef(view));
+  }
 
-    this._notify(event);
+  /**
+   * Whether anything will read the events this list records: listeners, a
+   * pending batch, or the active transaction's events.
+   */
+  _eventsRead() {
+    return (
+      this._observable &&
+      (this._listeners.size > 0 ||
+        this._batchDepth > 0 ||
+        this._batching !== "none" ||
+        this._activeTransaction() !== null)
+    );
   }
 
-  /** @param {Object} event */
-  _notify(event) {
-    for (const listener of [...this._listeners]) {
-      try {
-        listener(event);
-      } catch (error) {
-        console.error("Error in listener:", error);
-      }
+  /**
+   * Whether a change must report indices: events carry them, and view windows
+   * cannot follow a change without them. Cursors work out their index again
+   * when asked. Drops windows that were collected.
+   */
+  _needsIndices() {
+    if (this._eventsRead()) return true;
+    for (const ref of this._trackers) {
+      if (ref.deref()) return true;
+      this._trackers.delete(ref);
     }
+    return false;
   }
 
-  _resetFrom(values) {
-    this._head.next = this._tail;
-    this._tail.prev = this._head;
-    this._size = 0;
-    for (const value of values) this._insertBeforeTail(value);
-    this._changed();
+  /**
+   * Bump the modification count and let live view windows follow the change.
+   * @param {{ type: "insert"|"remove", index: number, count: number }|{ type: "reverse" }|{ type: "rotate", count: number }} [change]
+   */
+  _changed(change) {
+    this._modCount++;
+    if (!change) return;
+
+    for (const ref of this._trackers) {
+      const tracker = ref.deref();
+      if (tracker) tracker._adjust(change);
+      else this._trackers.delete(ref);
+    }
+  }
+
+  /**
+   * Insert a value after a node and record it as an add at index.
+   * @param {Node<T>} prev
+   * @param {T} value
+   * @param {number} index
+   * @returns {Node<T>|null} The new node, which "drop-newest" may already
+   *   have evicted, or null if "reject" refused the value.
+   */
+  _addAfter(prev, value, index) {
+    if (!this._admit(1, [value])) return null;
+    index ??= this._indexAfter(prev);
+
+    this._changed({ type: "insert", index, count: 1 });
+    const node = this._insertAfter(prev, value);
+    this._log({ op: "insert", node, index });
+    this._holdingListenerErrors(() => {
+      if (this._observable) this._record({ type: "add", index, value });
+      this._trim();
+    });
+    return node;
+  }
+
+  /**
+   * Apply the overflow policy before inserting count values. Drop policies
+   * always admit and trim afterwards.
+   * @param {number} count
+   * @param {T[]} [values] Incoming values, reported to onEvict if rejected.
+   * @returns {boolean} False if the insert must be skipped.
+   * @throws {RangeError} Under the "throw" policy.
+   */
+  _admit(count, values = []) {
+    if (this._uncappedDepth > 0 || this._size + count <= this._capacity) return true;
+
+    if (this._overflow === "throw") {
+      throw new RangeError(`List capacity ${this._capacity} exceeded`);
+    }
+    if (this._overflow === "reject") {
+      for (const value of values) this._onEvict?.(value);
+      return false;
+    }
+    return true;
+  }
+
+  /** Evict from the front ("drop-oldest") or back ("drop-newest") down to capacity. */
+  _trim() {
+    if (this._uncappedDepth > 0 || this._size <= this._capacity) return;
+
+    this._holdingListenerErrors(() => {
+      while (this._size > this._capacity) {
+        const value =
+          this._overflow === "drop-oldest"
+            ? this._removeNode(this._head.next, 0, "evict")
+            : this._removeNode(this._tail.prev, this._size - 1, "evict");
+        this._onEvict?.(value);
+      }
+    });
+  }
+
+  /**
+   * Index of a linked node, or of the position after a sentinel, for change
+   * records. Finding it costs O(n), so it is null unless _needsIndices();
+   * undo computes it again if a consumer appears later.
+   * @param {Node<T>} node
+   * @returns {number|null}
+   */
+  _indexForChange(node) {
+    return this._needsIndices() ? this._indexOfNode(node) : null;
+  }
+
+  /**
+   * Move a linked node to just after prev, keeping its identity.
+   * @param {Node<T>} node
+   * @param {Node<T>} prev
+   */
+  _moveAfter(node, prev) {
+    if (prev === node || prev.next === node) return;
+
+    const oldPrev = node.prev;
+    const from = this._indexForChange(node);
+    this._detachForMove(node);
+    this._attachAfter(prev, node);
+    const to = this._indexForChange(node);
+    this._changed({ type: "move", from, to });
+    this._log({ op: "move", node, prev: oldPrev });
+    if (this._observable) {
+      this._holdingListenerErrors(() => {
+        this._record({ type: "remove", index: from, value: node.value });
+        this._record({ type: "add", index: to, value: node.value });
+      });
+    }
+  }
+
+  /** Unlink a node that is about to be relinked; owner and size stay. */
+  _detachForMove(node) {
+    node.prev.next = node.next;
+    node.next.prev = node.prev;
+  }
+
+  /** Link a node detached by _detachForMove after prev. */
+  _attachAfter(prev, node) {
+    node.prev = prev;
+    node.next = prev.next;
+    prev.next.prev = node;
+    prev.next = node;
+  }
+
+  /**
+   * Node behind a handle issued by this list.
+   * @param {NodeHandle<T>} handle
+   * @throws {TypeError} If the handle was issued by another list.
+   * @throws {Error} If the handle is stale.
+   */
+  _handleNode(handle) {
+    if (!(handle instanceof NodeHandle) || handle._list !== this) {
+      throw new TypeError("Handle does not belong to this list");
+    }
+    if (!this._owns(handle._node)) {
+      throw new Error("Stale handle: its element is no longer in this list");
+    }
+    return handle._node;
+  }
+
+  /**
+   * Unlink a node and record it as a remove at index.
+   * @param {Node<T>} node
+   * @param {number} index
+   * @param {"remove"|"evict"} [type] Event type to record.
+   */
+  _removeNode(node, index, type = "remove") {
+    index ??= this._indexForChange(node);
+    this._changed({ type: "remove", index, count: 1 });
+    this._log({ op: "remove", node, index, prev: node.prev });
+    const value = this._unlink(node);
+    if (this._observable) this._record({ type, index, value });
+    return value;
+  }
+
+  /**
+   * Replace a node's value and record it as an update at index.
+   * @param {Node<T>} node
+   * @param {number} index
+   * @param {T} value
+   */
+  _updateNode(node, index, value) {
+    if (this._observable) index ??= this._indexForChange(node);
+    const oldValue = node.value;
+    node.value = value;
+    this._log({ op: "update", node, oldValue });
+    if (this._observable) {
+      this._record({ type: "update", index, oldValue, newValue: value });
+    }
+    return oldValue;
+  }
+
+  /** @param {Object} event */
+  _record(event) {
+    if (!this._observable) return;
+
+    const transaction = this._activeTransaction();
+    if (transaction) {
+      transaction.events.push(event);
+      return;
+    }
+
+    this._dispatch(event);
+  }
+
+  /**
+   * Notify listeners now, or add the event to the pending batch while one is
+   * open or microtask batching is on.
+   * @param {Object} event
+   */
+  _dispatch(event) {
+    if (this._batchDepth === 0 && this._batching === "none") {
+      this._notify(event);
+      return;
+    }
+
+    coalesceInto(this._pendingEvents, event);
+    if (this._batching === "microtask" && !this._flushScheduled) {
+      this._flushScheduled = true;
+      queueMicrotask(() => {
+        this._flushScheduled = false;
+        // No caller to throw to: throwing strategies log instead.
+        const strategy = this._listeners.onListenerError;
+        this._flush(typeof strategy === "function" ? strategy : "log");
+      });
+    }
+  }
+
+  /**
+   * Run fn and deliver the events it records as one coalesced `batch` event
+   * when it returns or throws. Batches nest; the outermost one delivers.
+   * Events inside a transaction still arrive as one `transaction` event,
+   * which joins the batch.
+   * @template R
+   * @param {() => R} fn
+   * @returns {R}
+   */
+  batch(fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError("batch expects a function");
+    }
+    this._batchDepth++;
+    try {
+      return fn();
+    } finally {
+      if (--this._batchDepth === 0) this.flush();
+    }
+  }
+
+  /**
+   * Run fn without enforcing capacity, for replaying recorded changes whose
+   * evictions were recorded too: a replayed insert must not evict again. Run
+   * it inside a transaction so that listeners, which see the capacity again,
+   * get the events after it returns.
+   * @template R
+   * @param {() => R} fn
+   * @returns {R}
+   * @throws {RangeError} If fn leaves more elements than the capacity allows.
+   */
+  uncapped(fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError("uncapped expects a function");
+    }
+    this._uncappedDepth++;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      this._uncappedDepth--;
+    }
+    if (this._uncappedDepth === 0 && this._size > this._capacity) {
+      throw new RangeError(`List capacity ${this._capacity} exceeded`);
+    }
+    return result;
+  }
+
+  /**
+   * Deliver pending batched events now as `{ type: "batch", events }`. A
+   * batch whose changes cancel out delivers nothing. A microtask flush has no
+   * caller, so it logs listener errors that "rethrow" or "aggregate" would
+   * throw; a function strategy still receives them.
+   */
+  flush() {
+    return this._flush(this._listeners.onListenerError);
+  }
+
+  /** @param {ListOptions<T>["onListenerError"]} strategy */
+  _flush(strategy) {
+    if (this._pendingEvents.length === 0) return this;
+
+    const events = this._pendingEvents;
+    this._pendingEvents = [];
+    this._notify({ type: "batch", events }, strategy);
+    return this;
+  }
+
+  /**
+   * Call the listeners subscribed to the event's type, then report their
+   * errors, or hold them while a change is still recording events.
+   * @param {Object} event
+   * @param {ListOptions<T>["onListenerError"]} [strategy] Overrides onListenerError.
+   */
+  _notify(event, strategy) {
+    if (!this._listeners.holding) this._revision++;
+    this._listeners.notify(event, strategy);
+  }
+
+  /**
+   * Run fn with listener errors held until it returns, so a change that
+   * records several events, or trims after recording one, always completes.
+   * @param {() => void} fn
+   */
+  _holdingListenerErrors(fn) {
+    if (!this._listeners.holding) this._revision++;
+    this._listeners.hold(fn);
+  }
+
+  /**
+   * Journal an inverse operation for the active transaction, if any.
+   * @param {{ op: string }} entry
+   */
+  _log(entry) {
+    const transaction = this._activeTransaction();
+    if (!transaction) return;
+    entry.seq ??= ++journalClock;
+    transaction._journal.push(entry);
+  }
+
+  /**
+   * Undo one journal entry. Rollback replays entries newest first, so each
+   * entry sees the list exactly as its operation left it.
+   * @param {Object} entry
+   */
+  _undo(entry) {
+    switch (entry.op) {
+      case "insert": {
+        const index = entry.index ?? this._indexForChange(entry.node);
+        this._changed({ type: "remove", index, count: 1 });
+        this._unlink(entry.node);
+        break;
+      }
+      case "remove": {
+        const index = entry.index ?? this._indexAfter(entry.prev);
+        this._changed({ type: "insert", index, count: 1 });
+        this._linkAfter(entry.prev, entry.node);
+        break;
+      }
+      case "move": {
+        const from = this._indexForChange(entry.node);
+        this._detachForMove(entry.node);
+        this._attachAfter(entry.prev, entry.node);
+        this._changed({ type: "move", from, to: this._indexForChange(entry.node) });
+        break;
+      }
+      case "update":
+        entry.node.value = entry.oldValue;
+        break;
+      case "clear":
+        this._changed({ type: "insert", index: 0, count: entry.size });
+        this._owner = entry.owner;
+        this._owner.list = this;
+        this._relink(entry.first, entry.last, entry.size);
+        break;
+      case "reverse":
+        this._changed({ type: "reverse" });
+        this._reverseLinks();
+        break;
+      case "rotate": {
+        const count = this._size - entry.count;
+        this._changed({ type: "rotate", count });
+        this._rotateLinks(count);
+        break;
+      }
+      case "sort":
+        this._changed();
+        this._relinkInOrder(entry.nodes);
+        break;
+      case "concat":
+        this._undoConcat(entry);
+        break;
+      case "split":
+        this._undoSplit(entry);
+        break;
+    }
+  }
+
+  /** Link a chain of nodes between the sentinels. */
+  _relink(first, last, size) {
+    this._head.next = first;
+    first.prev = this._head;
+    last.next = this._tail;
+    this._tail.prev = last;
+    this._size = size;
+  }
+
+  /** @param {Node<T>[]} nodes */
+  _relinkInOrder(nodes) {
+    let prev = this._head;
+    for (const node of nodes) {
+      prev.next = node;
+      node.prev = prev;
+      prev = node;
+    }
+    prev.next = this._tail;
+    this._tail.prev = prev;
+  }
+
+  _nodes() {
+    const nodes = new Array(this._size);
+    let index = 0;
+    for (let node = this._head.next; node !== this._tail; node = node.next) {
+      nodes[index++] = node;
+    }
+    return nodes;
   }
 
   /** @param {number} index */
@@ -262,15 +1396,11 @@ class UltimateLinkedList {
    * @param {T} value
    */
   set(index, value) {
-    const normalizedIndex = this._normalizeIndex(index);
-    const { node } = this._nodeAt(index);
+    this._assertWritable();
+    const { node, index: normalizedIndex } = this._nodeAt(index);
     if (!node) return false;
 
-    const oldValue = node.value;
-    node.value = value;
-    if (this._observable) {
-      this._record({ type: "update", index: normalizedIndex, oldValue, newValue: value });
-    }
+    this._updateNode(node, normalizedIndex, value);
     return true;
   }
 
@@ -279,66 +1409,79 @@ class UltimateLinkedList {
   }
 
   append(value) {
-    const index = this._size;
-    this._changed();
-    this._insertBeforeTail(value);
-    if (this._observable) this._record({ type: "add", index, value });
+    this._assertWritable();
+    this._addAfter(this._tail.prev, value, this._size);
     return this;
   }
 
   prepend(value) {
-    this._changed();
-    this._insertAfter(this._head, value);
-    if (this._observable) this._record({ type: "add", index: 0, value });
+    this._assertWritable();
+    this._addAfter(this._head, value, 0);
     return this;
   }
 
   push(...values) {
-    if (values.length === 0) return this._size;
+    this._assertWritable();
+    if (values.length === 0 || !this._admit(values.length, values)) return this._size;
 
-    this._changed();
     let index = this._size;
-    for (const value of values) {
-      this._insertBeforeTail(value);
-      if (this._observable) this._record({ type: "add", index, value });
-      index++;
-    }
+    this._changed({ type: "insert", index, count: values.length });
+    this._holdingListenerErrors(() => {
+      for (const value of values) {
+        const node = this._insertBeforeTail(value);
+        this._log({ op: "insert", node, index });
+        if (this._observable) this._record({ type: "add", index, value });
+        index++;
+      }
+      this._trim();
+    });
     return this._size;
   }
 
   pop() {
+    this._assertWritable();
     if (this.isEmpty()) return undefined;
 
-    const index = this._size - 1;
-    this._changed();
-    const value = this._unlink(this._tail.prev);
-    if (this._observable) this._record({ type: "remove", index, value });
-    return value;
+    return this._removeNode(this._tail.prev, this._size - 1);
   }
 
   shift() {
+    this._assertWritable();
     if (this.isEmpty()) return undefined;
 
-    this._changed();
-    const value = this._unlink(this._head.next);
-    if (this._observable) this._record({ type: "remove", index: 0, value });
-    return value;
+    return this._removeNode(this._head.next, 0);
   }
 
   unshift(...values) {
-    if (values.length === 0) return this._size;
+    this._assertWritable();
+    if (values.length === 0 || !this._admit(values.length, values)) return this._size;
 
-    this._changed();
+    this._changed({ type: "insert", index: 0, count: values.length });
     for (let i = values.length - 1; i >= 0; i--) {
-      this._insertAfter(this._head, values[i]);
-    }
-    if (this._observable) {
-      values.forEach((value, index) => this._record({ type: "add", index, value }));
+      const node = this._insertAfter(this._head, values[i]);
+      this._log({ op: "insert", node, index: 0 });
     }
+    this._holdingListenerErrors(() => {
+      if (this._observable) {
+        values.forEach((value, index) => this._record({ type: "add", index, value }));
+      }
+      this._trim();
+    });
     return this._size;
   }
 
   insertAt(value, index = this._size) {
+    this._assertWritable();
+    this._insertAtIndex(value, index);
+    return this;
+  }
+
+  /**
+   * @param {T} value
+   * @param {number} index
+   * @returns {Node<T>|null} See _addAfter.
+   */
+  _insertAtIndex(value, index) {
     if (!Number.isInteger(index)) {
       throw new RangeError("Expected an integer index");
     }
@@ -347,41 +1490,124 @@ class UltimateLinkedList {
       throw new RangeError(`Index ${index} out of bounds`);
     }
 
-    this._changed();
-    if (index === this._size) {
-      this._insertBeforeTail(value);
-    } else {
-      const prev = index === 0 ? this._head : this._nodeAt(index - 1).node;
-      this._insertAfter(prev, value);
-    }
-    if (this._observable) this._record({ type: "add", index, value });
+    let prev;
+    if (index === this._size) prev = this._tail.prev;
+    else prev = index === 0 ? this._head : this._nodeAt(index - 1).node;
+    return this._addAfter(prev, value, index);
+  }
+
+  /**
+   * Append a value and return a handle to it.
+   * @param {T} value
+   * @returns {NodeHandle<T>|null} Null if the overflow policy rejected or
+   *   evicted the value, as with every *Handle insert.
+   */
+  appendHandle(value) {
+    this._assertWritable();
+    return this._handleFor(this._addAfter(this._tail.prev, value, this._size));
+  }
+
+  /**
+   * Prepend a value and return a handle to it.
+   * @param {T} value
+   * @returns {NodeHandle<T>|null}
+   */
+  prependHandle(value) {
+    this._assertWritable();
+    return this._handleFor(this._addAfter(this._head, value, 0));
+  }
+
+  /**
+   * insertAt() that returns a handle to the inserted value.
+   * @param {T} value
+   * @param {number} [index]
+   * @returns {NodeHandle<T>|null}
+   */
+  insertHandle(value, index = this._size) {
+    this._assertWritable();
+    return this._handleFor(this._insertAtIndex(value, index));
+  }
+
+  /**
+   * Insert a value right after a handle's element in O(1).
+   * @param {NodeHandle<T>} handle
+   * @param {T} value
+   * @returns {NodeHandle<T>|null} A handle to the inserted value.
+   */
+  insertAfterHandle(handle, value) {
+    this._assertWritable();
+    const prev = this._handleNode(handle);
+    return this._handleFor(this._addAfter(prev, value, this._indexAfter(prev)));
+  }
+
+  /**
+   * Insert a value right before a handle's element in O(1).
+   * @param {NodeHandle<T>} handle
+   * @param {T} value
+   * @returns {NodeHandle<T>|null} A handle to the inserted value.
+   */
+  insertBeforeHandle(handle, value) {
+    this._assertWritable();
+    const next = this._handleNode(handle);
+    return this._handleFor(this._addAfter(next.prev, value, this._indexForChange(next)));
+  }
+
+  /**
+   * Handle to a node just inserted, or null if the insert was rejected or the
+   * node was evicted right away, so no handle starts out stale.
+   * @param {Node<T>|null} node
+   */
+  _handleFor(node) {
+    return node && this._owns(node) ? new NodeHandle(this, node) : null;
+  }
+
+  /**
+   * Remove a handle's element in O(1); the handle goes stale.
+   * @param {NodeHandle<T>} handle
+   * @returns {T} The removed value.
+   */
+  removeHandle(handle) {
+    this._assertWritable();
+    const node = this._handleNode(handle);
+    return this._removeNode(node, this._indexForChange(node));
+  }
+
+  /**
+   * Move a handle's element to the front in O(1). Observers see a remove
+   * followed by an add.
+   * @param {NodeHandle<T>} handle
+   */
+  moveToFront(handle) {
+    this._assertWritable();
+    this._moveAfter(this._handleNode(handle), this._head);
+    return this;
+  }
+
+  /**
+   * Move a handle's element to the back in O(1).
+   * @param {NodeHandle<T>} handle
+   */
+  moveToBack(handle) {
+    this._assertWritable();
+    this._moveAfter(this._handleNode(handle), this._tail.prev);
     return this;
   }
 
   removeAt(index) {
-    const normalizedIndex = this._normalizeIndex(index);
-    const { node } = this._nodeAt(index);
+    this._assertWritable();
+    const { node, index: normalizedIndex } = this._nodeAt(index);
     if (!node) return undefined;
 
-    this._changed();
-    const value = this._unlink(node);
-    if (this._observable) {
-      this._record({ type: "remove", index: normalizedIndex, value });
-    }
-    return value;
+    return this._removeNode(node, normalizedIndex);
   }
 
   remove(value, comparator = Object.is) {
+    this._assertWritable();
     let node = this._head.next;
     let index = 0;
 
     while (node !== this._tail) {
-      if (comparator(node.value, value)) {
-        this._changed();
-        const removed = this._unlink(node);
-        if (this._observable) this._record({ type: "remove", index, value: removed });
-        return removed;
-      }
+      if (comparator(node.value, value)) return this._removeNode(node, index);
       node = node.next;
       index++;
     }
@@ -416,21 +1642,39 @@ class UltimateLinkedList {
   }
 
   clear() {
+    this._assertWritable();
     if (this.isEmpty()) return this;
 
     const size = this._size;
-    this._changed();
+    const values = this._eventsRead() ? this.toArray() : null;
+    this._changed({ type: "remove", index: 0, count: size });
+    this._log({
+      op: "clear",
+      first: this._head.next,
+      last: this._tail.prev,
+      size,
+      owner: this._owner,
+    });
+    this._orphanNodes();
     this._head.next = this._tail;
     this._tail.prev = this._head;
     this._size = 0;
-    if (this._observable) this._record({ type: "clear", size });
+    if (this._observable) this._record({ type: "clear", size, values });
     return this;
   }
 
   reverse() {
+    this._assertWritable();
     if (this._size < 2) return this;
 
-    this._changed();
+    this._changed({ type: "reverse" });
+    this._log({ op: "reverse" });
+    this._reverseLinks();
+    if (this._observable) this._record({ type: "reverse", size: this._size });
+    return this;
+  }
+
+  _reverseLinks() {
     let node = this._head;
     while (node) {
       const next = node.next;
@@ -442,67 +1686,393 @@ class UltimateLinkedList {
     const oldHead = this._head;
     this._head = this._tail;
     this._tail = oldHead;
-    if (this._observable) this._record({ type: "reverse" });
+  }
+
+  /**
+   * Move the first k elements to the back (negative k moves the last |k| to
+   * the front) by relinking the sentinels in O(min(|k|, n - |k|)), with k
+   * taken modulo the length. Records one `rotate` event with the normalized
+   * count, so rotate(1) is append(shift()) without the intermediate change.
+   * @param {number} [k]
+   * @throws {RangeError} If k is not an integer.
+   */
+  rotate(k = 1) {
+    this._assertWritable();
+    if (!Number.isInteger(k)) {
+      throw new RangeError("Expected an integer rotation");
+    }
+    if (this._size < 2) return this;
+    const count = ((k % this._size) + this._size) % this._size;
+    if (count === 0) return this;
+
+    this._changed({ type: "rotate", count });
+    this._log({ op: "rotate", count });
+    this._rotateLinks(count);
+    if (this._observable) this._record({ type: "rotate", count });
     return this;
   }
 
+  /** Make the element at index count the first one. */
+  _rotateLinks(count) {
+    const first = this._nodeAt(count).node;
+    const oldFirst = this._head.next;
+    const oldLast = this._tail.prev;
+    const last = first.prev;
+    oldLast.next = oldFirst;
+    oldFirst.prev = oldLast;
+    this._head.next = first;
+    first.prev = this._head;
+    last.next = this._tail;
+    this._tail.prev = last;
+  }
+
   immutable() {
     return new ImmutableLinkedList(this.toArray());
   }
 
+  /** Read-only live view of this list; see ListView. */
+  view() {
+    return new ListView(this);
+  }
+
+  /**
+   * Stable in-place merge sort that relinks existing nodes. The `sort` event
+   * carries `order`, where order[i] is the previous index of the element now
+   * at index i.
+   * @param {Function|Function[]} [compareFn] A comparator, or comparators tried in turn.
+   * @throws {TypeError} If compareFn is not a function, an array of functions, or undefined.
+   */
   sort(compareFn) {
+    this._assertWritable();
+    const compare = toComparator(compareFn);
     if (this._size <= 1) return this;
 
-    const values = this.toArray();
-    values.sort(compareFn);
-    this._resetFrom(values);
-    if (this._observable) this._record({ type: "sort" });
+    const transaction = this._activeTransaction();
+    const nodes = transaction || this._observable ? this._nodes() : null;
+    this._changed();
+    if (transaction) this._log({ op: "sort", nodes });
+    this._mergeSort(compare);
+    if (this._observable) this._record({ type: "sort", order: this._orderSince(nodes) });
     return this;
   }
 
-  concat(other) {
-    if (other === this) {
-      throw new TypeError("Cannot concatenate list with itself");
+  /**
+   * Reorder the elements so that the one at order[i] ends up at index i,
+   * recorded as a sort. Replays or inverts a `sort` event.
+   * @param {number[]} order
+   * @throws {RangeError} If order is not a permutation of the list's indices.
+   */
+  _permute(order) {
+    const nodes = this._nodes();
+    const seen = new Set(order);
+    if (
+      order.length !== nodes.length ||
+      seen.size !== nodes.length ||
+      !order.every((index) => Number.isInteger(index) && index >= 0 && index < nodes.length)
+    ) {
+      throw new RangeError("Sort order must be a permutation of the list's indices");
     }
+    if (nodes.length <= 1) return this;
 
-    if (other instanceof UltimateLinkedList) {
-      if (this._transaction?._active || other._transaction?._active) {
-        throw new TypeError("Cannot concatenate during an active transaction");
-      }
-      if (other.isEmpty()) return this;
-
-      const startIndex = this._size;
-      const otherSize = other._size;
-      const otherFirst = other._head.next;
-      const otherLast = other._tail.prev;
-      const thisLast = this._tail.prev;
-
-      this._changed();
-      thisLast.next = otherFirst;
-      otherFirst.prev = thisLast;
-      otherLast.next = this._tail;
-      this._tail.prev = otherLast;
-      this._size += otherSize;
+    this._changed();
+    this._log({ op: "sort", nodes });
+    this._relinkInOrder(order.map((index) => nodes[index]));
+    if (this._observable) this._record({ type: "sort", order: order.slice() });
+    return this;
+  }
 
-      other._head.next = other._tail;
-      other._tail.prev = other._head;
-      other._size = 0;
-      other._changed();
+  /**
+   * Replay a change event from another list, as delivered to its change
+   * listeners, so this list can mirror it. `keep` events from diff() only
+   * check their value; ranged `add` and `remove` events and `batch` events
+   * from batched lists replay like the events they stand for. A committed transaction replays
+   * its events atomically; a rolled-back one changes nothing. Values are
+   * checked against the event before anything changes, using comparator for
+   * values that arrive as copies. Replicas with a capacity also apply their
+   * own overflow policy, so mirror bounded lists with unbounded replicas.
+   * @param {Object} event
+   * @param {(a: T, b: T) => boolean} [comparator]
+   * @throws {TypeError} For an unknown event type, or a concat event without
+   *   `values`: its nodes came from another list, so the event cannot say
+   *   what they were.
+   * @throws {Error} If the event does not match this list's contents.
+   */
+  applyEvent(event, comparator = Object.is) {
+    this._assertWritable();
+    switch (event?.type) {
+      case "add":
+        this._expectValues(event, event.index, [], comparator);
+        if (!event.values) this.insertAt(event.value, event.index);
+        else event.values.forEach((value, offset) => this.insertAt(value, event.index + offset));
+        break;
+      case "remove":
+      case "evict":
+        this._expectValues(event, event.index, event.values ?? [event.value], comparator);
+        for (let count = countOf(event); count > 0; count--) this.removeAt(event.index);
+        break;
+      case "update":
+        this._expectValues(event, event.index, [event.oldValue], comparator);
+        this.set(event.index, event.newValue);
+        break;
+      case "clear":
+        this._expect(event, event.size === this._size);
+        if (event.values) this._expectValues(event, 0, event.values, comparator);
+        this.clear();
+        break;
+      case "reverse":
+        this._expect(event, event.size === undefined || event.size === this._size);
+        this.reverse();
+        break;
+      case "sort":
+        this._expect(event, Array.isArray(event.order) && event.order.length === this._size);
+        this._permute(event.order);
+        break;
+      case "rotate":
+        this._expect(
+          event,
+          Number.isInteger(event.count) && event.count > 0 && event.count < this._size
+        );
+        this.rotate(event.count);
+        break;
+      case "splice":
+        this._expectValues(event, event.index, event.removed, comparator);
+        this.splice(event.index, event.removed.length, ...event.added);
+        break;
+      case "split":
+        this._expect(
+          event,
+          Number.isInteger(event.index) &&
+            Number.isInteger(event.size) &&
+            event.index >= 0 &&
+            event.size > 0 &&
+            event.index + event.size <= this._size
+        );
+        this.extractRange(event.index, event.index + event.size);
+        break;
+      case "concat":
+        if (!Array.isArray(event.values)) {
+          throw new TypeError("Cannot apply a concat event without values");
+        }
+        this._expect(event, event.values.length === event.size);
+        this._expectValues(event, event.index, [], comparator);
+        this.insertListAt(event.index, UltimateLinkedList.from(event.values));
+        break;
+      case "keep":
+        this._expectValues(event, event.index, [event.value], comparator);
+        break;
+      case "transaction":
+        if (event.action === "commit") this.applyPatch(event.events, comparator);
+        break;
+      case "batch":
+        this.applyPatch(event.events, comparator);
+        break;
+      default:
+        throw new TypeError(`Unknown event type: ${String(event?.type)}`);
+    }
+    return this;
+  }
 
-      if (this._observable) {
-        this._record({ type: "concat", index: startIndex, size: otherSize });
+  /**
+   * Replay events in order inside one transaction, so an event that does not
+   * match leaves the list as it was. See applyEvent.
+   * @param {Iterable<Object>} events
+   * @param {(a: T, b: T) => boolean} [comparator]
+   */
+  applyPatch(events, comparator = Object.is) {
+    this._assertWritable();
+    this.transaction(() => {
+      for (const event of events) this.applyEvent(event, comparator);
+    });
+    return this;
+  }
+
+  /**
+   * @param {Object} event
+   * @param {boolean} matches
+   * @throws {Error} If the event does not match.
+   */
+  _expect(event, matches) {
+    if (!matches) {
+      throw new Error(`Cannot apply ${event.type} event: it does not match the list`);
+    }
+  }
+
+  /**
+   * Check that values sit at index onward; with no values, that index is a
+   * valid insertion point.
+   * @param {Object} event
+   * @param {number} index
+   * @param {T[]} values
+   * @param {(a: T, b: T) => boolean} comparator
+   */
+  _expectValues(event, index, values, comparator) {
+    this._expect(
+      event,
+      Array.isArray(values) &&
+        Number.isInteger(index) &&
+        index >= 0 &&
+        index + values.length <= this._size
+    );
+    if (values.length === 0) return;
+
+    let node = this._nodeAt(index).node;
+    for (const value of values) {
+      this._expect(event, comparator(node.value, value));
+      node = node.next;
+    }
+  }
+
+  /**
+   * Previous index of each current element.
+   * @param {Node<T>[]} nodes The nodes in their previous order.
+   */
+  _orderSince(nodes) {
+    const previous = new Map(nodes.map((node, index) => [node, index]));
+    return this._nodes().map((node) => previous.get(node));
+  }
+
+  /**
+   * Sort by derived keys, comparing later keys only to break ties.
+   * @param {...(Function|{ key: Function, order?: "asc"|"desc" })} keys
+   */
+  sortBy(...keys) {
+    this._assertWritable();
+    return this.sort(keyComparators(keys));
+  }
+
+  /**
+   * Sort the nodes with mergeSortChain(), then restore prev pointers. A
+   * throwing comparator leaves every node linked, in an unspecified order.
+   * @param {(a: T, b: T) => number} compare
+   */
+  _mergeSort(compare) {
+    this._tail.prev.next = null;
+    try {
+      mergeSortChain(this._head, this._size, compare);
+    } finally {
+      let prev = this._head;
+      for (let node = this._head.next; node; node = node.next) {
+        node.prev = prev;
+        prev = node;
       }
-      if (other._observable) other._record({ type: "clear", size: otherSize });
+      prev.next = this._tail;
+      this._tail.prev = prev;
+    }
+  }
+
+
+  concat(other) {
+    this._assertWritable();
+    if (other === this) {
+      throw new TypeError("Cannot concatenate list with itself");
+    }
+
+    if (other instanceof UltimateLinkedList) {
+      this._stealNodes(other, this._tail.prev, this._size);
       return this;
     }
 
     if (other != null) {
-      for (const value of other) this.append(value);
+      const values = Array.from(other);
+      if (this._admit(values.length, values)) {
+        this._holdingListenerErrors(() => {
+          for (const value of values) this.append(value);
+        });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Move every node of other into this list at an index in O(1) after finding
+   * the position, leaving other empty. Negative indices use insertAt's
+   * insertion semantics. Events and rollback work as for concat.
+   * @param {number} index
+   * @param {UltimateLinkedList<T>} other
+   * @throws {RangeError} If the index is non-integer or out of bounds.
+   * @throws {TypeError} If other is this list or not an UltimateLinkedList.
+   */
+  insertListAt(index, other) {
+    this._assertWritable();
+    if (!(other instanceof UltimateLinkedList)) {
+      throw new TypeError("insertListAt expects an UltimateLinkedList");
+    }
+    if (other === this) {
+      throw new TypeError("Cannot concatenate list with itself");
+    }
+    if (!Number.isInteger(index)) {
+      throw new RangeError("Expected an integer index");
+    }
+    if (index < 0) index = this._size + index + 1;
+    if (index < 0 || index > this._size) {
+      throw new RangeError(`Index ${index} out of bounds`);
     }
 
+    let prev;
+    if (index === this._size) prev = this._tail.prev;
+    else prev = index === 0 ? this._head : this._nodeAt(index - 1).node;
+    this._stealNodes(other, prev, index);
     return this;
   }
 
+  /**
+   * Relink all of other's nodes after prev, which sits at index - 1. Ownership
+   * moves in O(1) by forwarding other's owner token.
+   * @param {UltimateLinkedList<T>} other
+   * @param {Node<T>} prev
+   * @param {number} index
+   */
+  _stealNodes(other, prev, index) {
+    other._assertWritable();
+    if (other.isEmpty() || !this._admit(other._size)) return;
+
+    const otherSize = other._size;
+    const otherFirst = other._head.next;
+    const otherLast = other._tail.prev;
+    const next = prev.next;
+    const values = this._eventsRead() ? chainValues(otherFirst, otherSize) : null;
+
+    const record = {
+      op: "concat",
+      receiver: this,
+      donor: other,
+      first: otherFirst,
+      last: otherLast,
+      size: otherSize,
+      index,
+      donorOwner: other._owner,
+      undone: false,
+    };
+    this._log(record);
+    other._log(record);
+
+    this._changed({ type: "insert", index, count: otherSize });
+    other._changed({ type: "remove", index: 0, count: otherSize });
+    other._owner.forward = this._owner;
+    other._owner.pinned = this._activeTransaction() !== null;
+    other._owner = new Owner(other);
+    prev.next = otherFirst;
+    otherFirst.prev = prev;
+    otherLast.next = next;
+    next.prev = otherLast;
+    this._size += otherSize;
+
+    other._head.next = other._tail;
+    other._tail.prev = other._head;
+    other._size = 0;
+
+    other._holdingListenerErrors(() => {
+      this._holdingListenerErrors(() => {
+        if (this._observable) {
+          this._record({ type: "concat", index, size: otherSize, values });
+        }
+        if (other._observable) other._record({ type: "clear", size: otherSize });
+        this._trim();
+      });
+    });
+  }
+
   join(separator = ",") {
     return this.toArray().join(separator);
   }
@@ -529,16 +2099,25 @@ class UltimateLinkedList {
   [Symbol.iterator]() {
     const list = this;
     const expectedModCount = this._modCount;
-    let node = this._head;
+    /** @type {Node<T>|null} */
+    let node = null;
+    let done = false;
 
     return {
       next() {
-        if (expectedModCount !== list._modCount) {
+        const stale = list._strict
+          ? expectedModCount !== list._modCount
+          : node !== null && !done && !list._owns(node);
+        if (stale) {
           throw new Error("Concurrent modification during iteration");
         }
+        if (done) return { done: true, value: undefined };
 
-        node = node.next;
-        if (node === list._tail) return { done: true, value: undefined };
+        node = node ? node.next : list._head.next;
+        if (node === list._tail) {
+          done = true;
+          return { done: true, value: undefined };
+        }
         return { done: false, value: node.value };
       },
       [Symbol.iterator]() {
@@ -579,14 +2158,78 @@ class UltimateLinkedList {
     return result;
   }
 
+  /**
+   * Array#splice for lists: remove deleteCount elements at start and insert
+   * items there, in one O(start + deleteCount + items) pass, or from the tail
+   * when start is nearer it. Arguments are coerced exactly as Array#splice
+   * coerces them. Observers get one `splice` event with the removed and added
+   * values; rolling back a transaction undoes the splice.
+   * @param {number} [start]
+   * @param {number} [deleteCount]
+   * @param {...T} items
+   * @returns {UltimateLinkedList<T>} The removed elements.
+   */
+  splice(start, deleteCount, ...items) {
+    this._assertWritable();
+    const size = this._size;
+    const relativeStart = toIntegerOrInfinity(start);
+    const actualStart =
+      relativeStart < 0 ? Math.max(size + relativeStart, 0) : Math.min(relativeStart, size);
+    let actualDeleteCount;
+    if (arguments.length === 0) actualDeleteCount = 0;
+    else if (arguments.length === 1) actualDeleteCount = size - actualStart;
+    else {
+      actualDeleteCount = Math.min(
+        Math.max(toIntegerOrInfinity(deleteCount), 0),
+        size - actualStart
+      );
+    }
+
+    const removed = new UltimateLinkedList();
+    if (actualDeleteCount === 0 && items.length === 0) return removed;
+    if (items.length > actualDeleteCount && !this._admit(items.length - actualDeleteCount, items)) {
+      return removed;
+    }
+
+    const prev = actualStart === 0 ? this._head : this._nodeAt(actualStart - 1).node;
+    if (actualDeleteCount > 0) {
+      this._changed({ type: "remove", index: actualStart, count: actualDeleteCount });
+      for (let i = 0; i < actualDeleteCount; i++) {
+        const node = prev.next;
+        this._log({ op: "remove", node, index: actualStart, prev });
+        removed._insertBeforeTail(this._unlink(node));
+      }
+    }
+    if (items.length > 0) {
+      this._changed({ type: "insert", index: actualStart, count: items.length });
+      let last = prev;
+      items.forEach((value, offset) => {
+        last = this._insertAfter(last, value);
+        this._log({ op: "insert", node: last, index: actualStart + offset });
+      });
+    }
+    this._holdingListenerErrors(() => {
+      if (this._observable) {
+        this._record({
+          type: "splice",
+          index: actualStart,
+          removed: removed.toArray(),
+          added: items,
+        });
+      }
+      this._trim();
+    });
+    return removed;
+  }
+
   /**
    * Relink nodes from an integer index into a new tail list.
    * @param {number} index
    * @returns {UltimateLinkedList<T>}
    * @throws {RangeError} If the index is non-integer or out of bounds.
-   * @throws {TypeError} If the source list has an active transaction.
    */
   splitAt(index) {
+    this._assertWritable();
     if (!Number.isInteger(index)) {
       throw new RangeError("Expected an integer index");
     }
@@ -594,10 +2237,6 @@ class UltimateLinkedList {
     if (index < 0 || index > this._size) {
       throw new RangeError(`Index ${index} out of bounds`);
     }
-    if (this._transaction?._active) {
-      throw new TypeError("Cannot split during an active transaction");
-    }
-
     const tailList = new UltimateLinkedList(undefined, {
       observable: this._observable,
     });
@@ -607,8 +2246,22 @@ class UltimateLinkedList {
     const originalLast = this._tail.prev;
     const tailSize = this._size - index;
 
-    this._changed();
+    const journaled = !!this._activeTransaction();
+    this._changed({ type: "remove", index, count: tailSize });
     tailList._changed();
+    const ownership = this._transferOwnership(splitNode, index, tailList, journaled);
+    if (journaled) {
+      this._log({
+        op: "split",
+        tailList,
+        prev: splitNode.prev,
+        first: splitNode,
+        last: originalLast,
+        size: tailSize,
+        index,
+        ...ownership,
+      });
+    }
 
     if (index === 0) {
       this._head.next = this._tail;
@@ -630,6 +2283,228 @@ class UltimateLinkedList {
     return tailList;
   }
 
+  /**
+   * Relink the nodes in [start, end) into a new list in O(start + (end -
+   * start)), or from the tail when start is nearer it. Negative indices count
+   * from the end. Events and rollback work as for splitAt.
+   * @param {number} start
+   * @param {number} [end]
+   * @returns {UltimateLinkedList<T>}
+   * @throws {RangeError} If an index is non-integer or the range is out of bounds.
+   */
+  extractRange(start, end = this._size) {
+    this._assertWritable();
+    if (!Number.isInteger(start) || !Number.isInteger(end)) {
+      throw new RangeError("Expected integer indices");
+    }
+    if (start < 0) start = this._size + start;
+    if (end < 0) end = this._size + end;
+    if (start < 0 || start > end || end > this._size) {
+      throw new RangeError(`Range [${start}, ${end}) out of bounds`);
+    }
+    const extracted = new UltimateLinkedList(undefined, {
+      observable: this._observable,
+    });
+    const size = end - start;
+    if (size === 0) return extracted;
+
+    const prev = start === 0 ? this._head : this._nodeAt(start - 1).node;
+    const first = prev.next;
+    const journaled = !!this._activeTransaction();
+    const labels = journaled ? [] : null;
+    let last = first;
+    for (let count = 1; ; count++) {
+      labels?.push(last.owner);
+      last.owner = extracted._owner;
+      if (count === size) break;
+      last = last.next;
+    }
+
+    this._changed({ type: "remove", index: start, count: size });
+    extracted._changed();
+    if (journaled) {
+      this._log({
+        op: "split",
+        tailList: extracted,
+        prev,
+        first,
+        last,
+        size,
+        index: start,
+        relabeled: "moved",
+        labels,
+        shared: null,
+      });
+    }
+
+    prev.next = last.next;
+    last.next.prev = prev;
+    extracted._head.next = first;
+    first.prev = extracted._head;
+    extracted._tail.prev = last;
+    last.next = extracted._tail;
+    this._size -= size;
+    extracted._size = size;
+    if (this._observable) this._record({ type: "split", index: start, size });
+    return extracted;
+  }
+
+  /**
+   * Re-home the nodes from splitNode onward to tailList, relabeling whichever
+   * side of the split is shorter. With keepLabels, the replaced labels are
+   * returned so a rollback can restore them exactly.
+   * @param {Node<T>} splitNode
+   * @param {number} index
+   * @param {UltimateLinkedList<T>} tailList
+   * @param {boolean} [keepLabels]
+   */
+  _transferOwnership(splitNode, index, tailList, keepLabels = false) {
+    const labels = keepLabels ? [] : null;
+    if (this._size - index <= index) {
+      for (let node = splitNode; node !== this._tail; node = node.next) {
+        labels?.push(node.owner);
+        node.owner = tailList._owner;
+      }
+      return { relabeled: "moved", labels, shared: null };
+    }
+
+    const shared = this._owner;
+    shared.list = tailList;
+    tailList._owner = shared;
+    this._owner = new Owner(this);
+    for (let node = this._head.next; node !== splitNode; node = node.next) {
+      labels?.push(node.owner);
+      node.owner = this._owner;
+    }
+    return { relabeled: "prefix", labels, shared };
+  }
+
+  /**
+   * Move a concat's nodes back to the front of the donor. Undoing from the
+   * receiver's journal is O(1). Undoing from the donor's journal first checks,
+   * in O(size), that the receiver still holds the nodes as one run; the
+   * receiver, which keeps its own changes, reports their ranged removal.
+   * @param {Object} record
+   * @throws {TypeError} If the receiver has changed the concatenated nodes.
+   */
+  _undoConcat(record) {
+    if (record.undone) return;
+
+    const { receiver, donor, first, last, size } = record;
+    const fromDonor = this === donor;
+    let index = record.index;
+    if (fromDonor) {
+      let node = first;
+      let count = 1;
+      while (node !== last && count < size && receiver._owns(node)) {
+        node = node.next;
+        count++;
+      }
+      if (node !== last || count !== size || !receiver._owns(last)) {
+        throw new TypeError("Cannot roll back concat: the receiving list has changed its nodes");
+      }
+      index = receiver._indexOfNode(first);
+    }
+
+    record.undone = true;
+    receiver._changed({ type: "remove", index, count: size });
+    first.prev.next = last.next;
+    last.next.prev = first.prev;
+    receiver._size -= size;
+
+    donor._changed({ type: "insert", index: 0, count: size });
+    const donorFirst = donor._head.next;
+    last.next = donorFirst;
+    donorFirst.prev = last;
+    first.prev = donor._head;
+    donor._head.next = first;
+    donor._size += size;
+
+    const group = receiver._transactionGroup();
+    const silent = group !== null && group === donor._transactionGroup();
+    if (fromDonor) {
+      for (let node = first, count = 0; count < size; node = node.next, count++) {
+        node.owner = donor._owner;
+      }
+      if (receiver._observable && !silent) {
+        const values = chainValues(first, size);
+        receiver._record(
+          size === 1 ? { type: "remove", index, value: values[0] } : { type: "remove", index, values }
+        );
+      }
+    } else {
+      const { donorOwner } = record;
+      if (donor._owner !== donorOwner) donor._owner.forward = donorOwner;
+      donorOwner.forward = null;
+      donor._owner = donorOwner;
+      if (donor._observable && !silent) {
+        donor._record({ type: "concat", index: 0, size, values: chainValues(first, size) });
+      }
+    }
+  }
+
+  /**
+   * Relink the nodes moved out by splitAt or extractRange after the node they
+   * followed, and restore their labels.
+   * @param {Object} record
+   * @throws {TypeError} If the split-off list no longer holds exactly the split nodes.
+   */
+  _undoSplit(record) {
+    const { tailList, prev, first, last, size, index, labels } = record;
+    if (
+      tailList._activeTransaction() ||
+      tailList._size !== size ||
+      tailList._head.next !== first ||
+      tailList._tail.prev !== last
+    ) {
+      throw new TypeError("Cannot roll back splitAt: the split-off list has changed");
+    }
+
+    tailList._changed({ type: "remove", index: 0, count: size });
+    tailList._head.next = tailList._tail;
+    tailList._tail.prev = tailList._head;
+    tailList._size = 0;
+
+    this._changed({ type: "insert", index, count: size });
+    const next = prev.next;
+    prev.next = first;
+    first.prev = prev;
+    last.next = next;
+    next.prev = last;
+    this._size += size;
+
+    let labelIndex = 0;
+    if (record.relabeled === "moved") {
+      for (let node = first; labelIndex < size; node = node.next) {
+        node.owner = labels[labelIndex++];
+      }
+    } else {
+      this._owner = record.shared;
+      this._owner.list = this;
+      tailList._owner = new Owner(tailList);
+      for (let node = this._head.next; node !== first; node = node.next) {
+        node.owner = labels[labelIndex++];
+      }
+    }
+    if (tailList._observable) tailList._record({ type: "clear", size });
+  }
+
+  /**
+   * Index of a linked node, walking toward the head.
+   * @param {Node<T>} node
+   */
+  _indexOfNode(node) {
+    let index = -1;
+    for (let current = node; current !== this._head; current = current.prev) index++;
+    return index;
+  }
+
+  /** Index a node linked after prev would take, when a change record needs it. */
+  _indexAfter(prev) {
+    const index = this._indexForChange(prev);
+    return index === null ? null : index + 1;
+  }
+
   map(callback) {
     const result = new UltimateLinkedList();
     let index = 0;
@@ -707,24 +2582,261 @@ class UltimateLinkedList {
     return this;
   }
 
+  /**
+   * Return the pending transaction, or a new one nested inside the active
+   * transaction if there is one. Call begin() on the result to start it.
+   * @returns {Transaction<T>}
+   */
   beginTransaction() {
-    if (this._transaction) return this._transaction;
-    this._transaction = new Transaction(this);
+    this._assertWritable();
+    const current = this._transaction;
+    if (current && !current._active) return current;
+    this._transaction = new Transaction(this, current);
     return this._transaction;
   }
 
-  addChangeListener(listener) {
-    this._listeners.push(listener);
-    return () => {
-      const index = this._listeners.indexOf(listener);
-      if (index !== -1) this._listeners.splice(index, 1);
+  /**
+   * Run fn inside a transaction: commit when it returns, or roll back and
+   * rethrow when it throws. When fn returns a promise, the transaction stays
+   * open until it settles, and the result is a promise. While an async
+   * transaction is pending, other transaction() calls throw or wait their
+   * turn according to `whenBusy`, and other mutators throw. Calls made from
+   * inside fn, before or after it awaits, nest in its transaction instead.
+   * @template R
+   * @param {(transaction: Transaction<T>) => R} fn
+   * @param {{ whenBusy?: "reject"|"queue" }} [options]
+   * @returns {R}
+   * @throws {TypeError} If an async transaction is pending and whenBusy is "reject".
+   */
+  transaction(fn, options = {}) {
+    const whenBusy = options.whenBusy ?? "reject";
+    if (whenBusy !== "reject" && whenBusy !== "queue") {
+      throw new TypeError(`Unknown whenBusy policy: ${whenBusy}`);
+    }
+
+    if (this._busy()) {
+      if (whenBusy === "reject") {
+        throw new TypeError("An async transaction is already pending");
+      }
+      this._pendingWork++;
+      const queued = this._transactionTail.then(() => this._runScoped(fn, true));
+      this._transactionTail = queued.then(
+        () => {},
+        () => {}
+      );
+      return queued;
+    }
+
+    return this._runScoped(fn, false);
+  }
+
+  /**
+   * Run fn in a transaction within this list's scope. An outermost call that
+   * returns a promise keeps the list busy until it settles.
+   * @param {Function} fn
+   * @param {boolean} queued Whether _pendingWork already counts this call.
+   */
+  _runScoped(fn, queued) {
+    if (this._insider()) return runInTransaction(this, fn);
+
+    const run = {};
+    let counted = queued;
+    const settle = () => {
+      if (counted) this._pendingWork--;
+      counted = false;
+      if (this._run === run) this._run = null;
     };
+
+    const scope = new Set(transactionScope.getStore());
+    scope.add(run);
+    this._run = run;
+    let result;
+    try {
+      result = transactionScope.run(scope, () => runInTransaction(this, fn, settle));
+    } catch (error) {
+      settle(); // begin() threw before the run could settle itself
+      throw error;
+    }
+    if (isThenable(result) && !counted) {
+      counted = true;
+      this._pendingWork++;
+      this._transactionTail = result.then(
+        () => {},
+        () => {}
+      );
+    }
+    return result;
+  }
+
+  /** True while an async transaction that the caller is not inside is pending. */
+  _busy() {
+    return this._pendingWork > 0 && !this._insider();
+  }
+
+  /** True when the caller started from the callback of this list's running transaction(fn). */
+  _insider() {
+    return this._run !== null && transactionScope.getStore()?.has(this._run) === true;
+  }
+
+  /** @throws {TypeError} While another caller's async transaction is pending. */
+  _assertWritable() {
+    if (this._busy()) {
+      throw new TypeError("Cannot modify the list while an async transaction is pending");
+    }
+  }
+
+  /** Group coordinating this list's active transactions, if any. */
+  _transactionGroup() {
+    for (let transaction = this._transaction; transaction; transaction = transaction._parent) {
+      if (transaction._active && transaction._group) return transaction._group;
+    }
+    return null;
+  }
+
+  /** Innermost transaction that is collecting changes, if any. */
+  _activeTransaction() {
+    let transaction = this._transaction;
+    while (transaction && !transaction._active) transaction = transaction._parent;
+    return transaction;
+  }
+
+  /**
+   * Subscribe to every change event; same as on("*", listener).
+   * @returns {() => void} Unsubscribes the listener.
+   */
+  addChangeListener(listener) {
+    return this.on("*", listener);
+  }
+
+  /**
+   * Subscribe to change events of one type, or to all of them with "*".
+   * Changes inside a transaction arrive as one `transaction` event.
+   * @param {string} type
+   * @param {(event: Object) => void} listener
+   * @param {ListenerOptions} [options]
+   * @returns {() => void} Unsubscribes the listener.
+   * @throws {TypeError} If type is not a string, listener is not a function,
+   *   or priority is not a number.
+   */
+  on(type, listener, options = {}) {
+    return this._listeners.on(type, listener, options);
+  }
+
+  /**
+   * Subscribe for the next event of a type only.
+   * @param {string} type
+   * @param {(event: Object) => void} listener
+   * @param {ListenerOptions} [options]
+   * @returns {() => void} Unsubscribes the listener if it has not run yet.
+   */
+  once(type, listener, options = {}) {
+    return this.on(type, listener, { ...options, once: true });
+  }
+
+  /**
+   * Unsubscribe every subscription of listener to type. Omit listener to drop
+   * all listeners of the type, or both to drop every listener.
+   * @param {string} [type]
+   * @param {(event: Object) => void} [listener]
+   */
+  off(type, listener) {
+    this._listeners.off(type, listener);
+    return this;
   }
 
   get [Symbol.toStringTag]() {
     return "UltimateLinkedList";
   }
 
+  /**
+   * Run fn inside one atomic transaction across several lists: commit them all
+   * when fn returns, or roll them all back and rethrow when it throws. A
+   * returned promise keeps the group open until it settles.
+   * @template R
+   * @param {Iterable<UltimateLinkedList<any>>} lists
+   * @param {(group: TransactionGroup<any>) => R} fn
+   * @returns {R}
+   */
+  static transaction(lists, fn) {
+    return runInTransaction(new TransactionGroup(lists), fn);
+  }
+
+  /**
+   * Minimal edit script turning a into b, found with Myers' algorithm after
+   * trimming the common prefix and suffix. Steps are `add` and `remove`
+   * events as observers receive them, plus `{ type: "keep", index, value }`
+   * for unchanged elements. Each index refers to the list as the steps before
+   * it left it, so applying the steps in order turns a into b.
+   * @template T
+   * @param {Iterable<T>} a
+   * @param {Iterable<T>} b
+   * @param {(a: T, b: T) => boolean} [comparator]
+   * @returns {Array<{ type: "add"|"remove"|"keep", index: number, value: T }>}
+   */
+  static diff(a, b, comparator = Object.is) {
+    const before = Array.from(a);
+    const after = Array.from(b);
+    let prefix = 0;
+    while (
+      prefix < before.length &&
+      prefix < after.length &&
+      comparator(before[prefix], after[prefix])
+    ) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < before.length - prefix &&
+      suffix < after.length - prefix &&
+      comparator(before[before.length - 1 - suffix], after[after.length - 1 - suffix])
+    ) {
+      suffix++;
+    }
+
+    const path = myersPath(
+      before.slice(prefix, before.length - suffix),
+      after.slice(prefix, after.length - suffix),
+      comparator
+    );
+    const script = [];
+    let index = 0;
+    let from = 0;
+    let to = 0;
+    const keep = () => script.push({ type: "keep", index: index++, value: before[from++] });
+    while (from < prefix) {
+      keep();
+      to++;
+    }
+    for (const step of path) {
+      if (step === "keep") {
+        keep();
+        to++;
+      } else if (step === "remove") {
+        script.push({ type: "remove", index, value: before[from++] });
+      } else {
+        script.push({ type: "add", index: index++, value: after[to++] });
+      }
+    }
+    while (from < before.length) keep();
+    return script;
+  }
+
+  /**
+   * Apply a diff() script to a list inside one transaction.
+   * @template T
+   * @param {UltimateLinkedList<T>} list
+   * @param {Iterable<Object>} script
+   * @param {(a: T, b: T) => boolean} [comparator]
+   * @throws {TypeError} If list is not an UltimateLinkedList.
+   * @throws {Error} If a step does not match the list; the list is left unchanged.
+   */
+  static patch(list, script, comparator = Object.is) {
+    if (!(list instanceof UltimateLinkedList)) {
+      throw new TypeError("patch expects an UltimateLinkedList");
+    }
+    return list.applyPatch(script, comparator);
+  }
+
   static from(iterable) {
     return new UltimateLinkedList(iterable);
   }
@@ -766,110 +2878,1013 @@ class UltimateLinkedList {
   }
 }
 
+/** Methods a ListView refuses to run. */
+const VIEW_MUTATORS = [
+  "append",
+  "prepend",
+  "push",
+  "pop",
+  "shift",
+  "unshift",
+  "insertAt",
+  "removeAt",
+  "remove",
+  "set",
+  "clear",
+  "reverse",
+  "rotate",
+  "sort",
+  "sortBy",
+  "concat",
+  "splitAt",
+  "splice",
+  "extractRange",
+  "insertListAt",
+  "applyEvent",
+  "applyPatch",
+  "beginTransaction",
+  "transaction",
+];
+
 /**
+ * Read-only live view of an UltimateLinkedList, or of a window of its
+ * positions. Reads see the list's current contents without copying, and every
+ * mutator throws. The list itself is kept in a private field, so a view can be
+ * handed to code that must not modify the list.
+ *
+ * A window follows later changes: inserts and removals before it shift it,
+ * removals inside it shrink it, and inserts between two of its elements grow
+ * it. Inserts at either edge stay outside, so an empty window stays empty.
+ * Rotation carries a window along
+ * unless it spans the rotation point; that, like sorting, keeps its positions.
  * @template T
  * @implements {Iterable<T>}
  */
-class ImmutableLinkedList {
-  /** @param {Iterable<T>} source */
-  constructor(source) {
-    this._values = Object.freeze(Array.from(source));
-  }
+class ListView {
+  /** @type {UltimateLinkedList<T>} */
+  #list;
 
-  get length() {
-    return this._values.length;
+  /**
+   * @param {UltimateLinkedList<T>} list
+   * @param {number} [start] Window start; windows need both bounds.
+   * @param {number} [end] Window end (exclusive); omit both for the whole list.
+   */
+  constructor(list, start, end) {
+    if (!(list instanceof UltimateLinkedList)) {
+      throw new TypeError("List views only accept UltimateLinkedList");
+    }
+    this.#list = list;
+    this._windowed = end !== undefined;
+    this._start = this._windowed ? start : 0;
+    this._end = this._windowed ? end : 0;
+    if (this._windowed) list._track(this);
   }
 
-  get(index) {
-    return this.at(index);
+  /**
+   * Keep the window on the same elements after a structural change.
+   * @param {{ type: string, index?: number, count?: number }} change
+   */
+  _adjust(change) {
+    if (change.type === "insert") {
+      if (change.index < this._end) this._end += change.count;
+      if (change.index <= this._start) this._start += change.count;
+      // An empty window has both edges at the insert; it stays empty after it.
+      this._end = Math.max(this._end, this._start);
+    } else if (change.type === "remove") {
+      const shift = (position) =>
+        position - Math.min(Math.max(position - change.index, 0), change.count);
+      this._start = shift(this._start);
+      this._end = shift(this._end);
+    } else if (change.type === "reverse") {
+      const size = this.#list.length;
+      [this._start, this._end] = [size - this._end, size - this._start];
+    } else if (change.type === "rotate") {
+      const shift = this._start >= change.count ? -change.count : this.#list.length - change.count;
+      if (this._start >= change.count || this._end <= change.count) {
+        this._start += shift;
+        this._end += shift;
+      }
+    } else if (change.type === "move") {
+      this._adjust({ type: "remove", index: change.from, count: 1 });
+      this._adjust({ type: "insert", index: change.to, count: 1 });
+    }
   }
 
-  at(index) {
-    return this._values.at(index);
+  get length() {
+    return this._windowed ? this._end - this._start : this.#list.length;
   }
 
   isEmpty() {
-    return this._values.length === 0;
+    return this.length === 0;
   }
 
   first() {
-    return this._values[0];
+    return this.at(0);
   }
 
   last() {
-    return this._values.at(-1);
+    return this.at(-1);
   }
 
-  toArray() {
-    return Array.from(this._values);
-  }
-
-  toString() {
-    return this._values.join(" -> ") + " -> null";
+  /** @param {number} index */
+  get(index) {
+    if (!Number.isInteger(index)) return undefined;
+    if (index < 0) index = this.length + index;
+    if (index < 0 || index >= this.length) return undefined;
+    return this.#list.get(this._start + index);
   }
 
-  toMutable() {
-    return new UltimateLinkedList(this._values);
+  at(index) {
+    return this.get(index);
   }
 
-  [Symbol.iterator]() {
-    return this._values[Symbol.iterator]();
+  indexOf(value, comparator = Object.is) {
+    let index = 0;
+    for (const item of this) {
+      if (comparator(item, value)) return index;
+      index++;
+    }
+    return -1;
   }
 
-  get [Symbol.toStringTag]() {
+  lastIndexOf(value, comparator = Object.is) {
+    let found = -1;
+    let index = 0;
+    for (const item of this) {
+      if (comparator(item, value)) found = index;
+      index++;
+    }
+    return found;
+  }
+
+  includes(value, comparator = Object.is) {
+    return this.indexOf(value, comparator) !== -1;
+  }
+
+  /**
+   * A window onto positions start to end (exclusive), with Array#slice index
+   * rules. Unlike UltimateLinkedList#slice, nothing is copied.
+   * @returns {ListView<T>}
+   */
+  slice(start = 0, end = this.length) {
+    const size = this.length;
+    start = Math.trunc(start) || 0;
+    end = Math.trunc(end) || 0;
+    if (start < 0) start = size + start;
+    if (end < 0) end = size + end;
+    start = Math.max(0, Math.min(size, start));
+    end = Math.max(start, Math.min(size, end));
+    return new ListView(this.#list, this._start + start, this._start + end);
+  }
+
+  map(callback) {
+    const result = new UltimateLinkedList();
+    let index = 0;
+    for (const value of this) result.append(callback(value, index++, this));
+    return result;
+  }
+
+  filter(predicate) {
+    const result = new UltimateLinkedList();
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index, this)) result.append(value);
+      index++;
+    }
+    return result;
+  }
+
+  reduce(callback, initialValue) {
+    if (this.isEmpty() && arguments.length === 1) {
+      throw new TypeError("Reduce of empty list with no initial value");
+    }
+
+    const values = this[Symbol.iterator]();
+    let index = 0;
+    let acc = initialValue;
+    if (arguments.length === 1) {
+      acc = values.next().value;
+      index = 1;
+    }
+    for (const value of values) acc = callback(acc, value, index++, this);
+    return acc;
+  }
+
+  every(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (!predicate(value, index++, this)) return false;
+    }
+    return true;
+  }
+
+  some(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index++, this)) return true;
+    }
+    return false;
+  }
+
+  find(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index++, this)) return value;
+    }
+    return undefined;
+  }
+
+  findIndex(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index, this)) return index;
+      index++;
+    }
+    return -1;
+  }
+
+  forEach(callback) {
+    let index = 0;
+    for (const value of this) callback(value, index++, this);
+    return this;
+  }
+
+  join(separator = ",") {
+    return this.toArray().join(separator);
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  toString() {
+    return this.toArray().join(" -> ") + " -> null";
+  }
+
+  toJSON() {
+    return this.toArray();
+  }
+
+  immutable() {
+    return new ImmutableLinkedList(this);
+  }
+
+  /** Subscribe to the list's change events; returns an unsubscribe function. */
+  addChangeListener(listener) {
+    return this.#list.addChangeListener(listener);
+  }
+
+  /** See UltimateLinkedList#on. */
+  on(type, listener, options) {
+    return this.#list.on(type, listener, options);
+  }
+
+  /** See UltimateLinkedList#once. */
+  once(type, listener, options) {
+    return this.#list.once(type, listener, options);
+  }
+
+  [Symbol.iterator]() {
+    if (!this._windowed) return this.#list[Symbol.iterator]();
+    return this._windowValues();
+  }
+
+  *_windowValues() {
+    const cursor = this.#list.cursorAt(this._start);
+    while (cursor.valid() && cursor.index() < this._end) {
+      const value = cursor.value();
+      cursor.next();
+      yield value;
+    }
+  }
+
+  *keys() {
+    for (let index = 0; index < this.length; index++) yield index;
+  }
+
+  values() {
+    return this[Symbol.iterator]();
+  }
+
+  *entries() {
+    let index = 0;
+    for (const value of this) yield [index++, value];
+  }
+
+  get [Symbol.toStringTag]() {
+    return "ListView";
+  }
+}
+
+for (const name of VIEW_MUTATORS) {
+  Object.defineProperty(ListView.prototype, name, {
+    value() {
+      throw new TypeError(`Cannot call ${name}() on a read-only list view`);
+    },
+    writable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Node of the balanced (AVL) tree behind ImmutableLinkedList. Nodes are frozen
+ * and shared between versions; an in-order walk yields the list's values.
+ * @template T
+ */
+class TreeNode {
+  /**
+   * @param {TreeNode<T>|null} left
+   * @param {T} value
+   * @param {TreeNode<T>|null} right
+   */
+  constructor(left, value, right) {
+    this.left = left;
+    this.value = value;
+    this.right = right;
+    this.size = sizeOf(left) + 1 + sizeOf(right);
+    this.height = Math.max(heightOf(left), heightOf(right)) + 1;
+    Object.freeze(this);
+  }
+}
+
+function sizeOf(tree) {
+  return tree ? tree.size : 0;
+}
+
+function heightOf(tree) {
+  return tree ? tree.height : 0;
+}
+
+/** Build a perfectly balanced tree from values[start, end) in O(n). */
+function buildTree(values, start = 0, end = values.length) {
+  if (start >= end) return null;
+  const middle = (start + end) >>> 1;
+  return new TreeNode(
+    buildTree(values, start, middle),
+    values[middle],
+    buildTree(values, middle + 1, end)
+  );
+}
+
+/** New node for left + value + right, rotating once if heights differ by two. */
+function balance(left, value, right) {
+  if (heightOf(left) > heightOf(right) + 1) {
+    if (heightOf(left.left) >= heightOf(left.right)) {
+      return new TreeNode(left.left, left.value, new TreeNode(left.right, value, right));
+    }
+    const middle = left.right;
+    return new TreeNode(
+      new TreeNode(left.left, left.value, middle.left),
+      middle.value,
+      new TreeNode(middle.right, value, right)
+    );
+  }
+  if (heightOf(right) > heightOf(left) + 1) {
+    if (heightOf(right.right) >= heightOf(right.left)) {
+      return new TreeNode(new TreeNode(left, value, right.left), right.value, right.right);
+    }
+    const middle = right.left;
+    return new TreeNode(
+      new TreeNode(left, value, middle.left),
+      middle.value,
+      new TreeNode(middle.right, right.value, right.right)
+    );
+  }
+  return new TreeNode(left, value, right);
+}
+
+/** Join two trees of any heights around a value in O(|height difference|). */
+function joinTrees(left, value, right) {
+  if (heightOf(left) > heightOf(right) + 1) {
+    return balance(left.left, left.value, joinTrees(left.right, value, right));
+  }
+  if (heightOf(right) > heightOf(left) + 1) {
+    return balance(joinTrees(left, value, right.left), right.value, right.right);
+  }
+  return new TreeNode(left, value, right);
+}
+
+/** Concatenate two trees in O(log n). */
+function concatTrees(left, right) {
+  if (!left) return right;
+  if (!right) return left;
+  const [init, last] = splitTree(left, left.size - 1);
+  return joinTrees(init, last.value, right);
+}
+
+/**
+ * Split a tree into its first `count` values and the rest in O(log n).
+ * @returns {[TreeNode<any>|null, TreeNode<any>|null]}
+ */
+function splitTree(tree, count) {
+  if (!tree) return [null, null];
+  const leftSize = sizeOf(tree.left);
+  if (count <= leftSize) {
+    const [before, after] = splitTree(tree.left, count);
+    return [before, joinTrees(after, tree.value, tree.right)];
+  }
+  const [before, after] = splitTree(tree.right, count - leftSize - 1);
+  return [joinTrees(tree.left, tree.value, before), after];
+}
+
+/** Copy the path to an in-bounds index, replacing its value. */
+function setInTree(tree, index, value) {
+  const leftSize = sizeOf(tree.left);
+  if (index < leftSize) {
+    return new TreeNode(setInTree(tree.left, index, value), tree.value, tree.right);
+  }
+  if (index > leftSize) {
+    return new TreeNode(tree.left, tree.value, setInTree(tree.right, index - leftSize - 1, value));
+  }
+  return new TreeNode(tree.left, value, tree.right);
+}
+
+/** Node at an in-bounds index. */
+function treeNodeAt(tree, index) {
+  for (;;) {
+    const leftSize = sizeOf(tree.left);
+    if (index === leftSize) return tree;
+    if (index < leftSize) {
+      tree = tree.left;
+    } else {
+      index -= leftSize + 1;
+      tree = tree.right;
+    }
+  }
+}
+
+/**
+ * Yield a tree's values in order, or in reverse order.
+ * @template T
+ * @param {TreeNode<T>|null} tree
+ * @param {boolean} reverse
+ * @returns {Generator<T, void, undefined>}
+ */
+function* walkTree(tree, reverse) {
+  const near = reverse ? "right" : "left";
+  const far = reverse ? "left" : "right";
+  const stack = [];
+  while (tree || stack.length > 0) {
+    while (tree) {
+      stack.push(tree);
+      tree = tree[near];
+    }
+    tree = stack.pop();
+    yield tree.value;
+    tree = tree[far];
+  }
+}
+
+/**
+ * Persistent list backed by a balanced tree. Every update returns a new
+ * version in O(log n) that shares all untouched nodes with the original;
+ * updates that change nothing return the same version.
+ * @template T
+ * @implements {Iterable<T>}
+ */
+class ImmutableLinkedList {
+  /** @param {Iterable<T>} [source] */
+  constructor(source = []) {
+    /** @type {TreeNode<T>|null} */
+    this._root = buildTree(Array.from(source));
+    Object.freeze(this);
+  }
+
+  /**
+   * Wrap an existing tree without copying it.
+   * @template T
+   * @param {TreeNode<T>|null} root
+   * @returns {ImmutableLinkedList<T>}
+   */
+  static _fromTree(root) {
+    const list = Object.create(ImmutableLinkedList.prototype);
+    list._root = root;
+    return Object.freeze(list);
+  }
+
+  get length() {
+    return sizeOf(this._root);
+  }
+
+  /** @param {number} index */
+  _normalizeIndex(index) {
+    if (!Number.isInteger(index)) return -1;
+    const normalized = index < 0 ? this.length + index : index;
+    return normalized < this.length ? normalized : -1;
+  }
+
+  get(index) {
+    return this.at(index);
+  }
+
+  at(index) {
+    index = this._normalizeIndex(index);
+    return index < 0 ? undefined : treeNodeAt(this._root, index).value;
+  }
+
+  isEmpty() {
+    return this._root === null;
+  }
+
+  first() {
+    return this.at(0);
+  }
+
+  last() {
+    return this.at(-1);
+  }
+
+  /** @param {...T} values */
+  push(...values) {
+    if (values.length === 0) return this;
+    if (values.length === 1) {
+      return ImmutableLinkedList._fromTree(joinTrees(this._root, values[0], null));
+    }
+    return ImmutableLinkedList._fromTree(concatTrees(this._root, buildTree(values)));
+  }
+
+  /** @param {T} value */
+  prepend(value) {
+    return ImmutableLinkedList._fromTree(joinTrees(null, value, this._root));
+  }
+
+  /**
+   * Version with the value at an index replaced; unchanged if the index is
+   * non-integer or out of bounds.
+   * @param {number} index
+   * @param {T} value
+   */
+  set(index, value) {
+    index = this._normalizeIndex(index);
+    if (index < 0) return this;
+    return ImmutableLinkedList._fromTree(setInTree(this._root, index, value));
+  }
+
+  /**
+   * Version without the value at an index; unchanged if the index is
+   * non-integer or out of bounds.
+   * @param {number} index
+   */
+  removeAt(index) {
+    index = this._normalizeIndex(index);
+    if (index < 0) return this;
+    const [before, rest] = splitTree(this._root, index);
+    const [, after] = splitTree(rest, 1);
+    return ImmutableLinkedList._fromTree(concatTrees(before, after));
+  }
+
+  /**
+   * Version with another list's values appended. Joining two immutable lists
+   * costs O(log n); other iterables are copied first.
+   * @param {ImmutableLinkedList<T>|Iterable<T>} other
+   */
+  concat(other) {
+    const tree =
+      other instanceof ImmutableLinkedList ? other._root : buildTree(Array.from(other));
+    if (!tree) return this;
+    return ImmutableLinkedList._fromTree(concatTrees(this._root, tree));
+  }
+
+  /**
+   * Values from start to end (exclusive) with Array#slice index rules, in
+   * O(log n).
+   */
+  slice(start = 0, end = this.length) {
+    const size = this.length;
+    start = Math.trunc(start) || 0;
+    end = Math.trunc(end) || 0;
+    if (start < 0) start = size + start;
+    if (end < 0) end = size + end;
+    start = Math.max(0, start);
+    end = Math.min(size, end);
+    if (start === 0 && end === size) return this;
+    if (start >= end) return ImmutableLinkedList._fromTree(null);
+
+    const [, rest] = splitTree(this._root, start);
+    const [middle] = splitTree(rest, end - start);
+    return ImmutableLinkedList._fromTree(middle);
+  }
+
+  indexOf(value, comparator = Object.is) {
+    let index = 0;
+    for (const item of this) {
+      if (comparator(item, value)) return index;
+      index++;
+    }
+    return -1;
+  }
+
+  lastIndexOf(value, comparator = Object.is) {
+    let index = this.length - 1;
+    for (const item of walkTree(this._root, true)) {
+      if (comparator(item, value)) return index;
+      index--;
+    }
+    return -1;
+  }
+
+  includes(value, comparator = Object.is) {
+    return this.indexOf(value, comparator) !== -1;
+  }
+
+  /**
+   * True if other holds the same values in the same order. Versions that
+   * share a tree compare in O(1).
+   * @param {Iterable<T>} other
+   * @param {(a: T, b: T) => boolean} [comparator]
+   */
+  equals(other, comparator = Object.is) {
+    if (other instanceof ImmutableLinkedList && other._root === this._root) return true;
+    if (other == null || typeof other[Symbol.iterator] !== "function") return false;
+    if (typeof other.length === "number" && other.length !== this.length) return false;
+
+    const values = other[Symbol.iterator]();
+    for (const value of this) {
+      const step = values.next();
+      if (step.done || !comparator(value, step.value)) return false;
+    }
+    return values.next().done === true;
+  }
+
+  map(callback) {
+    const values = new Array(this.length);
+    let index = 0;
+    for (const value of this) values[index] = callback(value, index++, this);
+    return ImmutableLinkedList._fromTree(buildTree(values));
+  }
+
+  filter(predicate) {
+    const values = [];
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index++, this)) values.push(value);
+    }
+    if (values.length === this.length) return this;
+    return ImmutableLinkedList._fromTree(buildTree(values));
+  }
+
+  reduce(callback, initialValue) {
+    if (this.isEmpty() && arguments.length === 1) {
+      throw new TypeError("Reduce of empty list with no initial value");
+    }
+
+    const values = this[Symbol.iterator]();
+    let index = 0;
+    let acc = initialValue;
+    if (arguments.length === 1) {
+      acc = values.next().value;
+      index = 1;
+    }
+    for (const value of values) acc = callback(acc, value, index++, this);
+    return acc;
+  }
+
+  every(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (!predicate(value, index++, this)) return false;
+    }
+    return true;
+  }
+
+  some(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index++, this)) return true;
+    }
+    return false;
+  }
+
+  find(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index++, this)) return value;
+    }
+    return undefined;
+  }
+
+  findIndex(predicate) {
+    let index = 0;
+    for (const value of this) {
+      if (predicate(value, index, this)) return index;
+      index++;
+    }
+    return -1;
+  }
+
+  forEach(callback) {
+    let index = 0;
+    for (const value of this) callback(value, index++, this);
+    return this;
+  }
+
+  join(separator = ",") {
+    return this.toArray().join(separator);
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  toString() {
+    return this.toArray().join(" -> ") + " -> null";
+  }
+
+  toJSON() {
+    return this.toArray();
+  }
+
+  toMutable() {
+    return new UltimateLinkedList(this);
+  }
+
+  [Symbol.iterator]() {
+    return walkTree(this._root, false);
+  }
+
+  *keys() {
+    for (let index = 0; index < this.length; index++) yield index;
+  }
+
+  values() {
+    return this[Symbol.iterator]();
+  }
+
+  *entries() {
+    let index = 0;
+    for (const value of this) yield [index++, value];
+  }
+
+  get [Symbol.toStringTag]() {
     return "ImmutableLinkedList";
   }
 }
 
-/** @template T */
+/**
+ * Unit of work on one list. Mutations journal their inverse operations, so a
+ * rollback costs O(changes) and relinks the original nodes. A transaction
+ * begun while another is active nests inside it and shares its journal: the
+ * child rolls back on its own, and its events fold into the parent on commit.
+ * Only the outermost commit or rollback notifies observers.
+ * @template T
+ */
 class Transaction {
-  /** @param {UltimateLinkedList<T>} list */
-  constructor(list) {
+  /**
+   * @param {UltimateLinkedList<T>} list
+   * @param {Transaction<T>|null} [parent]
+   */
+  constructor(list, parent = null) {
     this._list = list;
-    this._snapshot = null;
+    this._parent = parent;
+    /** @type {Object[]} */
+    this._journal = [];
+    this._mark = 0;
     this._active = false;
+    /** @type {Array<{ name: string, mark: number, eventCount: number }>} */
+    this._savepoints = [];
+    /** @type {TransactionGroup<any>|null} */
+    this._group = null;
     this.events = [];
   }
 
+  /** @throws {TypeError} If a nested parent transaction has already finished. */
   begin() {
     if (this._active) return this;
-    this._snapshot = this._list.toArray();
+    if (this._parent && !this._parent._active) {
+      throw new TypeError("Parent transaction is no longer active");
+    }
+    this._journal = this._parent ? this._parent._journal : [];
+    this._mark = this._journal.length;
     this.events = [];
     this._active = true;
+    this._list._transaction = this;
     return this;
   }
 
+  _assertInnermost() {
+    if (!this._active) throw new TypeError("Transaction is not active");
+    if (this._list._activeTransaction() !== this) {
+      throw new TypeError("A nested transaction is still active");
+    }
+  }
+
+  /**
+   * Deactivate this transaction and hand the list back to its parent. The
+   * outermost transaction unpins the owner tokens of concats it received,
+   * since nothing can roll those back any more.
+   */
+  _finish() {
+    this._active = false;
+    if (!this._parent) {
+      for (const entry of this._journal) {
+        if (entry.op === "concat" && entry.receiver === this._list) entry.donorOwner.pinned = false;
+      }
+      this._journal = [];
+    }
+    this._savepoints = [];
+    this._group = null;
+    this.events = [];
+    this._list._transaction = this._parent;
+  }
+
+  /**
+   * Tell observers how the outermost transaction ended.
+   * @param {"commit"|"rollback"} action
+   * @param {Object[]} events
+   * @param {TransactionGroup<any>|null} group
+   */
+  _notifyOutcome(action, events, group) {
+    if (this._parent || !this._list._observable) return;
+
+    const event = { type: "transaction", action, events };
+    if (group) event.group = { id: group.id, size: group.lists.length };
+    this._list._dispatch(event);
+  }
+
+  /** @throws {TypeError} If a nested transaction is still active. */
   commit() {
     if (!this._active) return this;
+    this._assertInnermost();
 
     const events = this.events.slice();
-    this._active = false;
-    this._snapshot = null;
-    this.events = [];
-    this._list._transaction = null;
+    const group = this._group;
+    this._finish();
 
-    if (this._list._observable) {
-      this._list._notify({ type: "transaction", action: "commit", events });
-    }
+    if (this._parent) this._parent.events.push(...events);
+    this._notifyOutcome("commit", events, group);
     return this;
   }
 
+  /** Undo this transaction's changes, including any still-active nested ones. */
   rollback() {
-    if (!this._active || !this._snapshot) return this;
+    if (!this._active) return this;
+
+    this._undoTo(this._mark);
+    for (let nested = this._list._transaction; nested !== this; nested = nested._parent) {
+      if (nested._active) nested._finish();
+    }
 
     const events = this.events.slice();
-    const snapshot = this._snapshot;
+    const group = this._group;
+    this._finish();
+
+    this._notifyOutcome("rollback", events, group);
+    return this;
+  }
+
+  /**
+   * Mark the current state so rollbackTo(name) can return to it. Reusing a
+   * name adds a newer savepoint that shadows the older one.
+   * @param {string} name
+   * @throws {TypeError} If the transaction is inactive or has an active nested transaction.
+   */
+  savepoint(name) {
+    this._assertInnermost();
+    this._savepoints.push({
+      name,
+      mark: this._journal.length,
+      eventCount: this.events.length,
+    });
+    return this;
+  }
+
+  /**
+   * Undo changes made after a savepoint. The savepoint stays; later ones are released.
+   * @param {string} name
+   * @throws {RangeError} If no savepoint has that name.
+   */
+  rollbackTo(name) {
+    const index = this._savepointIndex(name);
+    const { mark, eventCount } = this._savepoints[index];
+    this._savepoints.length = index + 1;
+    this.events.length = eventCount;
+    this._undoTo(mark);
+    return this;
+  }
+
+  /**
+   * Undo journal entries newest first. If a cross-list entry cannot be undone
+   * because the other list has changed, the error propagates with that entry
+   * and everything before it still journaled, so the transaction stays usable.
+   * @param {number} mark Journal length to return to.
+   */
+  _undoTo(mark) {
+    const journal = this._journal;
+    while (journal.length > mark) {
+      this._list._undo(journal[journal.length - 1]);
+      journal.pop();
+    }
+  }
+
+  /**
+   * Forget a savepoint and every savepoint created after it.
+   * @param {string} name
+   * @throws {RangeError} If no savepoint has that name.
+   */
+  release(name) {
+    this._savepoints.length = this._savepointIndex(name);
+    return this;
+  }
+
+  /** @param {string} name */
+  _savepointIndex(name) {
+    this._assertInnermost();
+    for (let index = this._savepoints.length - 1; index >= 0; index--) {
+      if (this._savepoints[index].name === name) return index;
+    }
+    throw new RangeError(`No savepoint named ${name}`);
+  }
+}
+
+/**
+ * Coordinates one Transaction per list so several lists commit or roll back
+ * together. Rollback undoes journal entries across all member lists newest
+ * first, so cross-list concat and splitAt undo cleanly in any member order.
+ * Each observable list gets one `transaction` event whose `group` is
+ * `{ id, size }`: plain data, so listeners on read-only views cannot reach
+ * the member lists through it.
+ * @template T
+ */
+class TransactionGroup {
+  /**
+   * @param {Iterable<UltimateLinkedList<T>>} lists
+   * @throws {TypeError} If a member is not an UltimateLinkedList or appears twice.
+   */
+  constructor(lists) {
+    this.lists = Array.from(lists ?? []);
+    if (!this.lists.every((list) => list instanceof UltimateLinkedList)) {
+      throw new TypeError("Transaction groups only accept UltimateLinkedList instances");
+    }
+    if (new Set(this.lists).size !== this.lists.length) {
+      throw new TypeError("A list can only join a transaction group once");
+    }
+    /** Matches `group.id` on the members' transaction events. */
+    this.id = ++groupCount;
+    /** @type {Transaction<T>[]} */
+    this.transactions = [];
     this._active = false;
-    this._snapshot = null;
-    this.events = [];
-    this._list._transaction = null;
-    this._list._resetFrom(snapshot);
+  }
 
-    if (this._list._observable) {
-      this._list._notify({ type: "transaction", action: "rollback", events });
+  begin() {
+    if (this._active) return this;
+
+    this.transactions = [];
+    try {
+      for (const list of this.lists) {
+        const transaction = list.beginTransaction().begin();
+        transaction._group = this;
+        this.transactions.push(transaction);
+      }
+    } catch (error) {
+      for (const transaction of this.transactions.reverse()) transaction.rollback();
+      this.transactions = [];
+      throw error;
     }
+    this._active = true;
+    return this;
+  }
+
+  /** @throws {TypeError} If any member has an active nested transaction; nothing is committed. */
+  commit() {
+    if (!this._active) return this;
+    for (const transaction of this.transactions) transaction._assertInnermost();
+
+    this._active = false;
+    finishAll(this.transactions, "commit");
+    return this;
+  }
+
+  rollback() {
+    if (!this._active) return this;
+
+    for (;;) {
+      let latest = null;
+      for (const transaction of this.transactions) {
+        const journal = transaction._journal;
+        if (journal.length <= transaction._mark) continue;
+        if (!latest || journal.at(-1).seq > latest._journal.at(-1).seq) latest = transaction;
+      }
+      if (!latest) break;
+
+      const entry = latest._journal.at(-1);
+      const undoing =
+        entry.op === "concat" && this.lists.includes(entry.receiver) ? entry.receiver : latest._list;
+      undoing._undo(entry);
+      latest._journal.pop();
+    }
+
+    this._active = false;
+    finishAll(this.transactions, "rollback");
     return this;
   }
 }
 
-export { UltimateLinkedList, ImmutableLinkedList, Transaction, Cursor };
+export {
+  UltimateLinkedList,
+  ImmutableLinkedList,
+  ListView,
+  NodeHandle,
+  Transaction,
+  TransactionGroup,
+  Cursor,
+};
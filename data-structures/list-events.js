@@ -0,0 +1,64 @@
+/* -----------------------------------------------------------------------------
+ * List event adapters - UltimateLinkedList changes as EventEmitter or EventTarget events
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - toEventEmitter() re-emits each change event under its type, with the event
+ *   object as the argument.
+ * - toEventTarget() dispatches a CustomEvent per change, with the event object
+ *   as `detail`.
+ * - Both accept a list or a read-only ListView, and an AbortSignal that stops
+ *   forwarding.
+ * ----------------------------------------------------------------------------- */
+
+import { EventEmitter } from "node:events";
+
+/**
+ * @typedef {Object} AdapterOptions
+ * @property {AbortSignal} [signal] Stops forwarding when aborted.
+ * @property {number} [priority] Priority of the forwarding listener.
+ */
+
+/** @param {any} list */
+function assertSubscribable(list) {
+  if (typeof list?.on !== "function") {
+    throw new TypeError("Expected an UltimateLinkedList or ListView");
+  }
+}
+
+/**
+ * Forward change events to an EventEmitter. Errors thrown by the emitter's
+ * listeners reach the list's onListenerError strategy.
+ * @param {import("./iterator-based-linked-list.js").UltimateLinkedList<any>} list
+ * @param {AdapterOptions & { emitter?: EventEmitter }} [options] emitter
+ *   defaults to a new EventEmitter.
+ * @returns {EventEmitter}
+ */
+function toEventEmitter(list, options = {}) {
+  assertSubscribable(list);
+  const { emitter = new EventEmitter(), signal, priority } = options;
+  list.on("*", (event) => emitter.emit(event.type, event), { signal, priority });
+  return emitter;
+}
+
+/**
+ * Forward change events to an EventTarget as CustomEvents. EventTarget
+ * reports its listeners' errors itself (in Node, as uncaught exceptions), so
+ * they never reach the list.
+ * @param {import("./iterator-based-linked-list.js").UltimateLinkedList<any>} list
+ * @param {AdapterOptions & { target?: EventTarget }} [options] target
+ *   defaults to a new EventTarget.
+ * @returns {EventTarget}
+ */
+function toEventTarget(list, options = {}) {
+  assertSubscribable(list);
+  const { target = new EventTarget(), signal, priority } = options;
+  list.on(
+    "*",
+    (event) => target.dispatchEvent(new CustomEvent(event.type, { detail: event })),
+    { signal, priority }
+  );
+  return target;
+}
+
+export { toEventEmitter, toEventTarget };
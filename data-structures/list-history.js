@@ -0,0 +1,319 @@
+/* -----------------------------------------------------------------------------
+ * History - undo/redo for an observable UltimateLinkedList
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - Change events become undo steps: undo() applies their inverses in reverse
+ *   order and redo() applies them again, each inside one list transaction.
+ * - Each mutator call is one step, including the evictions it causes and
+ *   every add of a variadic push or unshift. A committed transaction, or
+ *   every edit inside group(fn), is one step too.
+ * - limit caps the undo steps kept; the oldest step is dropped first.
+ * - Undone concats move their nodes out and redone ones move them back; other
+ *   steps restore values, so handles and cursors on removed elements go stale.
+ * - Events for nodes that left for another list (a split, or the clear a
+ *   concat donor reports) cannot be undone here, so they reset the history.
+ * - A `batch` event from a batching list is one step. undo(), redo(), and
+ *   group() flush the list's pending batch first.
+ * ----------------------------------------------------------------------------- */
+
+import { UltimateLinkedList } from "./iterator-based-linked-list.js";
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {Object} event The recorded change event.
+ * @property {UltimateLinkedList<any>|null} moved Nodes an undone concat took out.
+ */
+
+/** @param {Object} event */
+function isInvertible(event) {
+  switch (event.type) {
+    case "add":
+    case "remove":
+    case "evict":
+    case "update":
+    case "reverse":
+    case "rotate":
+    case "splice":
+    case "concat":
+      return true;
+    case "clear":
+      return Array.isArray(event.values);
+    case "sort":
+      return Array.isArray(event.order);
+    default:
+      return false;
+  }
+}
+
+/**
+ * The changes an event stands for: a batch or committed transaction expands
+ * to its events, a rolled-back transaction to none.
+ * @param {Object} event
+ * @returns {Object[]}
+ */
+function changesOf(event) {
+  switch (event.type) {
+    case "batch":
+      return event.events.flatMap(changesOf);
+    case "transaction":
+      return event.action === "commit" ? event.events : [];
+    default:
+      return [event];
+  }
+}
+
+/** @param {number[]} order */
+function invertOrder(order) {
+  const inverse = new Array(order.length);
+  order.forEach((previous, index) => {
+    inverse[previous] = index;
+  });
+  return inverse;
+}
+
+/**
+ * @param {UltimateLinkedList<any>} list
+ * @param {HistoryEntry} entry
+ */
+function undoEntry(list, entry) {
+  const { event } = entry;
+  switch (event.type) {
+    case "add":
+      for (let count = event.values?.length ?? 1; count > 0; count--) list.removeAt(event.index);
+      break;
+    case "remove":
+    case "evict":
+      (event.values ?? [event.value]).forEach((value, offset) => list.insertAt(value, event.index + offset));
+      break;
+    case "update":
+      list.set(event.index, event.oldValue);
+      break;
+    case "clear":
+      list.concat(event.values);
+      break;
+    case "reverse":
+      list.reverse();
+      break;
+    case "sort":
+      list._permute(invertOrder(event.order));
+      break;
+    case "rotate":
+      list.rotate(-event.count);
+      break;
+    case "splice":
+      list.splice(event.index, event.added.length, ...event.removed);
+      break;
+    case "concat":
+      entry.moved = list.extractRange(event.index, event.index + event.size);
+      break;
+  }
+}
+
+/**
+ * @param {UltimateLinkedList<any>} list
+ * @param {HistoryEntry} entry
+ */
+function redoEntry(list, entry) {
+  if (entry.event.type === "concat") {
+    list.insertListAt(entry.event.index, entry.moved);
+    entry.moved = null;
+  } else {
+    list.applyEvent(entry.event);
+  }
+}
+
+/**
+ * Undo/redo stack for an observable UltimateLinkedList. Every change to the
+ * list after construction is recorded until detach(). Undo and redo replay
+ * inside list.uncapped(), so replayed inserts never evict twice.
+ * @template T
+ */
+class History {
+  /**
+   * @param {UltimateLinkedList<T>} list
+   * @param {{ limit?: number }} [options] limit is the most undo steps kept.
+   * @throws {TypeError} If list is not an observable UltimateLinkedList.
+   * @throws {RangeError} If limit is not a non-negative integer or Infinity.
+   */
+  constructor(list, options = {}) {
+    if (!(list instanceof UltimateLinkedList)) {
+      throw new TypeError("History only accepts UltimateLinkedList");
+    }
+    if (!list._observable) {
+      throw new TypeError("History needs a list created with { observable: true }");
+    }
+    const { limit = Infinity } = options;
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+      throw new RangeError("limit must be a non-negative integer or Infinity");
+    }
+
+    this._list = list;
+    /** @type {UltimateLinkedList<HistoryEntry[]>} Oldest step first. */
+    this._undoSteps = new UltimateLinkedList(undefined, {
+      capacity: limit,
+      overflow: "drop-oldest",
+    });
+    /** @type {UltimateLinkedList<HistoryEntry[]>} Most recently undone step last. */
+    this._redoSteps = new UltimateLinkedList();
+    /** @type {HistoryEntry[]} Entries recorded by the open group(). */
+    this._pending = [];
+    this._groupDepth = 0;
+    /** The list's revision when the latest step was recorded. */
+    this._revision = -1;
+    this._applying = false;
+    this._unsubscribe = list.addChangeListener((event) => this._onChange(event));
+  }
+
+  canUndo() {
+    return !this._undoSteps.isEmpty();
+  }
+
+  canRedo() {
+    return !this._redoSteps.isEmpty();
+  }
+
+  /**
+   * Revert the latest step.
+   * @returns {boolean} Whether there was a step to undo.
+   * @throws {TypeError} Inside group() or while the list has an active transaction.
+   */
+  undo() {
+    this._list.flush();
+    if (!this.canUndo()) return false;
+
+    const entries = this._undoSteps.pop();
+    this._redoSteps.append(entries);
+    try {
+      this._apply(() => {
+        for (let index = entries.length - 1; index >= 0; index--) {
+          undoEntry(this._list, entries[index]);
+        }
+      });
+    } catch (error) {
+      this._redoSteps.pop();
+      this._undoSteps.append(entries);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Reapply the latest undone step. Any new edit discards the undone steps.
+   * @returns {boolean} Whether there was a step to redo.
+   * @throws {TypeError} Inside group() or while the list has an active transaction.
+   */
+  redo() {
+    this._list.flush();
+    if (!this.canRedo()) return false;
+
+    const entries = this._redoSteps.pop();
+    this._undoSteps.append(entries);
+    try {
+      this._apply(() => {
+        for (const entry of entries) redoEntry(this._list, entry);
+      });
+    } catch (error) {
+      this._undoSteps.pop();
+      this._redoSteps.append(entries);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Run fn and record every edit it makes as one step. Groups nest; the
+   * outermost one records the step, even if fn throws after editing.
+   * @template R
+   * @param {() => R} fn
+   * @returns {R}
+   */
+  group(fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError("group expects a function");
+    }
+    if (this._groupDepth === 0) this._list.flush();
+    this._groupDepth++;
+    try {
+      return fn();
+    } finally {
+      if (this._groupDepth === 1) this._list.flush();
+      if (--this._groupDepth === 0) {
+        const entries = this._pending;
+        this._pending = [];
+        if (entries.length > 0) this._push(entries);
+      }
+    }
+  }
+
+  /** Forget every undo and redo step. */
+  clear() {
+    this._undoSteps.clear();
+    this._redoSteps.clear();
+    this._pending = [];
+    return this;
+  }
+
+  /** Stop recording the list's changes. */
+  detach() {
+    this._unsubscribe();
+    return this;
+  }
+
+  /**
+   * Record a change, except the `transaction` or `batch` event an undo or
+   * redo reports for itself. Edits listeners make in response are new steps.
+   * @param {Object} event
+   */
+  _onChange(event) {
+    if (this._applying && (event.type === "transaction" || event.type === "batch")) return;
+    this._record(changesOf(event));
+  }
+
+  /** @param {Object[]} events */
+  _record(events) {
+    if (events.length === 0) return;
+    if (!events.every(isInvertible)) {
+      this.clear();
+      return;
+    }
+
+    const entries = events.map((event) => ({ event, moved: null }));
+    const revision = this._list.revision;
+    if (this._groupDepth > 0) this._pending.push(...entries);
+    else if (revision === this._revision && this.canUndo()) this._undoSteps.last().push(...entries);
+    else this._push(entries);
+    this._revision = revision;
+  }
+
+  /** @param {HistoryEntry[]} entries */
+  _push(entries) {
+    this._undoSteps.append(entries);
+    this._redoSteps.clear();
+  }
+
+  /** Run fn in an uncapped list transaction without recording it. */
+  _apply(fn) {
+    const list = this._list;
+    if (this._groupDepth > 0) {
+      throw new TypeError("Cannot undo or redo inside group()");
+    }
+    if (list._activeTransaction()) {
+      throw new TypeError("Cannot undo or redo while the list has an active transaction");
+    }
+
+    this._applying = true;
+    try {
+      list.transaction(() => list.uncapped(fn));
+      list.flush();
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  get [Symbol.toStringTag]() {
+    return "History";
+  }
+}
+
+export { History };
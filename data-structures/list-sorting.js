@@ -0,0 +1,146 @@
+/* -----------------------------------------------------------------------------
+ * List sorting helpers - comparators and merge sort shared by both lists
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - toComparator() applies Array.prototype.sort ordering to sort(compareFn).
+ * - keyComparators() turns sortBy keys into comparators tried in turn.
+ * - mergeSortChain() sorts a null-terminated node chain by relinking it.
+ * ----------------------------------------------------------------------------- */
+
+/**
+ * Build a comparator with Array.prototype.sort ordering: undefined sorts last,
+ * and other values compare as strings unless a comparator, or an array of
+ * comparators tried in turn, is given.
+ * @param {Function|Function[]|undefined} compareFn
+ * @throws {TypeError} If compareFn is not a function, an array of functions, or undefined.
+ */
+function toComparator(compareFn) {
+  let compare;
+  if (compareFn === undefined) {
+    compare = compareAsStrings;
+  } else if (typeof compareFn === "function") {
+    compare = compareFn;
+  } else if (Array.isArray(compareFn) && compareFn.every((fn) => typeof fn === "function")) {
+    compare = (a, b) => {
+      for (const fn of compareFn) {
+        const result = fn(a, b);
+        if (result) return result;
+      }
+      return 0;
+    };
+  } else {
+    throw new TypeError("Comparator must be a function or an array of functions");
+  }
+
+  return (a, b) => {
+    if (a === undefined) return b === undefined ? 0 : 1;
+    if (b === undefined) return -1;
+    return compare(a, b);
+  };
+}
+
+function compareAsStrings(a, b) {
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Turn sortBy keys (functions or `{ key, order: "asc"|"desc" }`) into comparators.
+ * @param {Array<Function|{ key: Function, order?: "asc"|"desc" }>} keys
+ * @throws {TypeError} If no keys are given or a key is not a function.
+ */
+function keyComparators(keys) {
+  if (keys.length === 0) throw new TypeError("sortBy requires at least one key");
+
+  return keys.map((spec) => {
+    const key = typeof spec === "function" ? spec : spec?.key;
+    if (typeof key !== "function") {
+      throw new TypeError("Sort keys must be functions or { key, order } objects");
+    }
+    const sign = spec.order === "desc" ? -1 : 1;
+    return (a, b) => {
+      const left = key(a);
+      const right = key(b);
+      return left < right ? -sign : left > right ? sign : 0;
+    };
+  });
+}
+
+/**
+ * Cut a null-terminated chain after count nodes.
+ * @returns {{ next: any }|null} The rest of the chain.
+ */
+function cutChain(node, count) {
+  for (let i = 1; node && i < count; i++) node = node.next;
+  if (!node) return null;
+  const rest = node.next;
+  node.next = null;
+  return rest;
+}
+
+/**
+ * Stable bottom-up merge sort of the null-terminated chain of size nodes
+ * after head, relinking next pointers in O(n log n) time and O(1) extra
+ * space. head.next ends up on the sorted chain even if compare throws; every
+ * node stays linked, in an unspecified order.
+ * @template {{ value: any, next: any }} N
+ * @param {{ next: N|null }} head Node before the chain, such as a sentinel.
+ * @param {number} size
+ * @param {(a: any, b: any) => number} compare
+ * @returns {N} The last node of the sorted chain.
+ */
+function mergeSortChain(head, size, compare) {
+  let first = head.next;
+  let merged = null;
+  let left = null;
+  let right = null;
+  let rest = null;
+
+  try {
+    for (let width = 1; width < size; width *= 2) {
+      rest = first;
+      first = null;
+      merged = null;
+      while (rest) {
+        left = rest;
+        right = cutChain(left, width);
+        rest = cutChain(right, width);
+        while (left && right) {
+          let node;
+          if (compare(left.value, right.value) > 0) {
+            node = right;
+            right = right.next;
+          } else {
+            node = left;
+            left = left.next;
+          }
+          if (merged) merged.next = node;
+          else first = node;
+          merged = node;
+        }
+
+        const leftover = left || right;
+        left = right = null;
+        if (merged) merged.next = leftover;
+        else first = leftover;
+        while (merged.next) merged = merged.next;
+      }
+    }
+  } catch (error) {
+    for (const chain of [left, right, rest]) {
+      if (!chain) continue;
+      if (merged) merged.next = chain;
+      else first = chain;
+      merged = chain;
+      while (merged.next) merged = merged.next;
+    }
+    throw error;
+  } finally {
+    head.next = first;
+  }
+  return merged;
+}
+
+export { toComparator, keyComparators, mergeSortChain };
@@ -0,0 +1,326 @@
+/* -----------------------------------------------------------------------------
+ * LRUCache / LFUCache - bounded caches on UltimateLinkedList node handles
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - A Map finds entries; list handles reorder and evict them in O(1).
+ * - LRUCache evicts the least recently used entry; LFUCache evicts the least
+ *   frequently used one, least recently used first among equals.
+ * - maxSize bounds the entry count, or the total weight given by sizeOf.
+ * - Evictions call onEvict and, on observable caches, notify listeners
+ *   through the same ChangeListeners registry UltimateLinkedList uses.
+ * ----------------------------------------------------------------------------- */
+
+import { UltimateLinkedList } from "./iterator-based-linked-list.js";
+import { ChangeListeners } from "./change-listeners.js";
+
+/**
+ * @template K, V
+ * @typedef {{ key: K, value: V, size: number, frequency: number, handle: any }} CacheEntry
+ */
+
+/**
+ * @template K, V
+ * @typedef {Object} CacheOptions
+ * @property {number} [maxSize] Largest total size kept; defaults to Infinity.
+ * @property {(value: V, key: K) => number} [sizeOf] Weight of an entry; defaults to 1.
+ * @property {(key: K, value: V) => void} [onEvict] Called after an entry is evicted.
+ * @property {boolean} [observable] Notify change listeners of evictions.
+ * @property {import("./change-listeners.js").ListenerErrorStrategy} [onListenerError]
+ *   What to do with listener errors once set() has finished evicting; defaults
+ *   to "log".
+ */
+
+/**
+ * Least-recently-used cache. Reads through get() and writes through set()
+ * count as uses; peek() and has() do not.
+ * @template K, V
+ * @implements {Iterable<[K, V]>}
+ */
+class LRUCache {
+  /** @param {CacheOptions<K, V>} [options] */
+  constructor(options = {}) {
+    const {
+      maxSize = Infinity,
+      sizeOf = () => 1,
+      onEvict,
+      observable = false,
+      onListenerError = "log",
+    } = options;
+    if (typeof maxSize !== "number" || Number.isNaN(maxSize) || maxSize < 0) {
+      throw new RangeError("maxSize must be a non-negative number");
+    }
+    if (typeof sizeOf !== "function") {
+      throw new TypeError("sizeOf must be a function");
+    }
+    if (onEvict !== undefined && typeof onEvict !== "function") {
+      throw new TypeError("onEvict must be a function");
+    }
+
+    this._maxSize = maxSize;
+    this._sizeOf = sizeOf;
+    this._onEvict = onEvict;
+    this._observable = observable;
+    this._listeners = new ChangeListeners(onListenerError);
+    /** @type {Map<K, CacheEntry<K, V>>} */
+    this._entries = new Map();
+    this._totalSize = 0;
+    /** Entries from least to most recently used. */
+    this._order = new UltimateLinkedList();
+  }
+
+  /** Number of entries. */
+  get size() {
+    return this._entries.size;
+  }
+
+  /** Sum of the entries' sizes. */
+  get totalSize() {
+    return this._totalSize;
+  }
+
+  get maxSize() {
+    return this._maxSize;
+  }
+
+  /** @param {K} key */
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * Value for key without counting as a use.
+   * @param {K} key
+   */
+  peek(key) {
+    return this._entries.get(key)?.value;
+  }
+
+  /** @param {K} key */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+
+    this._touch(entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting entries until it fits. If onEvict throws, the
+   * key keeps its previous value, now as the most recently used entry.
+   * @param {K} key
+   * @param {V} value
+   * @throws {RangeError} If sizeOf gives an invalid size or one above maxSize.
+   */
+  set(key, value) {
+    const size = this._sizeOf(value, key);
+    if (typeof size !== "number" || !(size >= 0)) {
+      throw new RangeError(`Invalid size ${size} for key ${String(key)}`);
+    }
+    if (size > this._maxSize) {
+      throw new RangeError(`Size ${size} exceeds maxSize ${this._maxSize}`);
+    }
+
+    const previous = this._entries.get(key);
+    if (previous) this._detach(previous);
+    this._listeners.hold(() => {
+      try {
+        while (this._totalSize + size > this._maxSize) this._evict();
+      } catch (error) {
+        if (previous) this._attach(previous);
+        throw error;
+      }
+      const entry = previous ?? { key, value, size, frequency: 0, handle: null };
+      entry.value = value;
+      entry.size = size;
+      entry.frequency++;
+      this._attach(entry);
+    });
+    return this;
+  }
+
+  /**
+   * Remove an entry without reporting it as an eviction.
+   * @param {K} key
+   * @returns {boolean} Whether the key was present.
+   */
+  delete(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return false;
+
+    this._detach(entry);
+    return true;
+  }
+
+  /** Remove every entry without reporting evictions. */
+  clear() {
+    this._entries.clear();
+    this._totalSize = 0;
+    this._order.clear();
+    return this;
+  }
+
+  /** Keys in eviction order, next victim first. */
+  *keys() {
+    for (const entry of this._ordered()) yield entry.key;
+  }
+
+  /** Values in eviction order, next victim first. */
+  *values() {
+    for (const entry of this._ordered()) yield entry.value;
+  }
+
+  /** [key, value] pairs in eviction order, next victim first. */
+  *entries() {
+    for (const entry of this._ordered()) yield [entry.key, entry.value];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * @param {(event: Object) => void} listener
+   * @returns {() => void} Unsubscribes the listener.
+   */
+  addChangeListener(listener) {
+    return this._listeners.on("*", listener);
+  }
+
+  /** @param {Object} event */
+  _record(event) {
+    if (this._observable) this._listeners.notify(event);
+  }
+
+  /** Drop the next victim and report it. */
+  _evict() {
+    const entry = this._victim();
+    this._detach(entry);
+    this._record({ type: "evict", key: entry.key, value: entry.value });
+    this._onEvict?.(entry.key, entry.value);
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _attach(entry) {
+    this._entries.set(entry.key, entry);
+    this._totalSize += entry.size;
+    this._link(entry);
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _detach(entry) {
+    this._entries.delete(entry.key);
+    this._totalSize -= entry.size;
+    this._unlink(entry);
+  }
+
+  /* Ordering policy: subclasses override these four and _ordered(). */
+
+  /** @param {CacheEntry<K, V>} entry */
+  _link(entry) {
+    entry.handle = this._order.appendHandle(entry);
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _unlink(entry) {
+    this._order.removeHandle(entry.handle);
+    entry.handle = null;
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _touch(entry) {
+    entry.frequency++;
+    this._order.moveToBack(entry.handle);
+  }
+
+  /** @returns {CacheEntry<K, V>} */
+  _victim() {
+    return this._order.first();
+  }
+
+  /** @returns {Iterable<CacheEntry<K, V>>} */
+  _ordered() {
+    return this._order;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "LRUCache";
+  }
+}
+
+/**
+ * Least-frequently-used cache. Each entry lives in the list for its use count;
+ * a use moves it to the next list in O(1). Ties evict the least recently used.
+ * @template K, V
+ * @extends {LRUCache<K, V>}
+ */
+class LFUCache extends LRUCache {
+  /** @param {CacheOptions<K, V>} [options] */
+  constructor(options) {
+    super(options);
+    /** @type {Map<number, UltimateLinkedList<CacheEntry<K, V>>>} */
+    this._buckets = new Map();
+    this._minFrequency = 0;
+  }
+
+  clear() {
+    super.clear();
+    this._buckets.clear();
+    this._minFrequency = 0;
+    return this;
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _link(entry) {
+    let bucket = this._buckets.get(entry.frequency);
+    if (!bucket) {
+      bucket = new UltimateLinkedList();
+      this._buckets.set(entry.frequency, bucket);
+    }
+    entry.handle = bucket.appendHandle(entry);
+    if (this._buckets.size === 1 || entry.frequency < this._minFrequency) {
+      this._minFrequency = entry.frequency;
+    }
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _unlink(entry) {
+    const bucket = this._buckets.get(entry.frequency);
+    bucket.removeHandle(entry.handle);
+    entry.handle = null;
+    if (bucket.isEmpty()) this._buckets.delete(entry.frequency);
+  }
+
+  /** @param {CacheEntry<K, V>} entry */
+  _touch(entry) {
+    const frequency = entry.frequency;
+    this._unlink(entry);
+    entry.frequency++;
+    if (frequency === this._minFrequency && !this._buckets.has(frequency)) {
+      this._minFrequency = entry.frequency;
+    }
+    this._link(entry);
+  }
+
+  /**
+   * Oldest entry of the lowest-frequency list. Deleting the last entry at the
+   * lowest frequency leaves _minFrequency stale; the next eviction rescans.
+   */
+  _victim() {
+    if (!this._buckets.has(this._minFrequency)) {
+      this._minFrequency = Math.min(...this._buckets.keys());
+    }
+    return this._buckets.get(this._minFrequency).first();
+  }
+
+  *_ordered() {
+    const frequencies = [...this._buckets.keys()].sort((a, b) => a - b);
+    for (const frequency of frequencies) yield* this._buckets.get(frequency);
+  }
+
+  get [Symbol.toStringTag]() {
+    return "LFUCache";
+  }
+}
+
+export { LRUCache, LFUCache };
@@ -0,0 +1,572 @@
+/* -----------------------------------------------------------------------------
+ * OrderedMap / OrderedSet - keyed collections kept in UltimateLinkedList order
+ * © 2025 Brian Murdock - MIT Licensed
+ * -----------------------------------------------------------------------------
+ *
+ * - A Map from keys to list node handles makes every key operation O(1).
+ *   While change listeners are subscribed, each change also walks O(n) to
+ *   report its index.
+ * - Entries keep insertion order and can be moved to either end or inserted
+ *   next to another key; iteration runs in either direction.
+ * - Cursors, transactions, batches, and change events come from the
+ *   underlying list; cursors are read-only, events carry the entry's key next
+ *   to its index, and ranged and clear events carry `keys` and `values`
+ *   arrays.
+ * ----------------------------------------------------------------------------- */
+
+import { UltimateLinkedList } from "./iterator-based-linked-list.js";
+
+/**
+ * Rewrite a list event about `{ key, value }` records into a map event.
+ * @param {Object} event
+ */
+function toMapEvent(event) {
+  switch (event.type) {
+    case "add":
+    case "remove":
+    case "evict":
+      if (event.values) {
+        return {
+          type: event.type,
+          index: event.index,
+          keys: event.values.map((record) => record.key),
+          values: event.values.map((record) => record.value),
+        };
+      }
+      return { type: event.type, index: event.index, key: event.value.key, value: event.value.value };
+    case "update":
+      return {
+        type: "update",
+        index: event.index,
+        key: event.newValue.key,
+        oldValue: event.oldValue.value,
+        newValue: event.newValue.value,
+      };
+    case "clear":
+      if (!event.values) return event;
+      return {
+        type: "clear",
+        size: event.size,
+        keys: event.values.map((record) => record.key),
+        values: event.values.map((record) => record.value),
+      };
+    case "transaction":
+    case "batch":
+      return { ...event, events: event.events.map(toMapEvent) };
+    default:
+      return event;
+  }
+}
+
+/** Cursor methods an EntryCursor refuses to run. */
+const CURSOR_MUTATORS = ["insertBefore", "insertAfter", "remove", "replace"];
+
+/**
+ * Read-only cursor over a map's `{ key, value }` records. Edits through a list
+ * cursor would bypass the key index, so entries change only through the map.
+ * The list cursor is kept in a private field.
+ */
+class EntryCursor {
+  /** @type {import("./iterator-based-linked-list.js").Cursor<any>} */
+  #cursor;
+
+  /** @param {import("./iterator-based-linked-list.js").Cursor<any>} cursor */
+  constructor(cursor) {
+    this.#cursor = cursor;
+  }
+
+  next() {
+    this.#cursor.next();
+    return this;
+  }
+
+  prev() {
+    this.#cursor.prev();
+    return this;
+  }
+
+  /** @param {number} index */
+  seek(index) {
+    this.#cursor.seek(index);
+    return this;
+  }
+
+  /** @param {number} dir */
+  setDirection(dir) {
+    this.#cursor.setDirection(dir);
+    return this;
+  }
+
+  /** @param {boolean} [circular] */
+  setCircular(circular) {
+    this.#cursor.setCircular(circular);
+    return this;
+  }
+
+  reset(toEnd) {
+    this.#cursor.reset(toEnd);
+    return this;
+  }
+
+  clone() {
+    return new EntryCursor(this.#cursor.clone());
+  }
+
+  index() {
+    return this.#cursor.index();
+  }
+
+  atStart() {
+    return this.#cursor.atStart();
+  }
+
+  atEnd() {
+    return this.#cursor.atEnd();
+  }
+
+  /**
+   * @param {EntryCursor} other
+   * @throws {TypeError} If the cursors belong to different maps.
+   */
+  distanceTo(other) {
+    if (!(other instanceof EntryCursor)) {
+      throw new TypeError("Cursors belong to different lists");
+    }
+    return this.#cursor.distanceTo(other.#cursor);
+  }
+
+  value() {
+    return this.#cursor.value();
+  }
+
+  valid() {
+    return this.#cursor.valid();
+  }
+
+  values(direction) {
+    return this.#cursor.values(direction);
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  get [Symbol.toStringTag]() {
+    return "EntryCursor";
+  }
+}
+
+for (const name of CURSOR_MUTATORS) {
+  Object.defineProperty(EntryCursor.prototype, name, {
+    value() {
+      throw new TypeError(`Cannot call ${name}() on a map cursor; edit entries through the map`);
+    },
+    writable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Insertion-ordered map whose entries live in an UltimateLinkedList as frozen
+ * `{ key, value }` records. Rolling back the list's transactions rolls back
+ * the map: handles superseded inside a transaction are kept until no
+ * transaction is active, so a rollback that relinks their nodes revives them.
+ * @template K, V
+ * @implements {Iterable<[K, V]>}
+ */
+class OrderedMap {
+  /**
+   * @param {Iterable<[K, V]>} [entries]
+   * @param {{ observable?: boolean, strict?: boolean }} [options]
+   */
+  constructor(entries, options = {}) {
+    /** @type {UltimateLinkedList<{ key: K, value: V }>} */
+    this._list = new UltimateLinkedList(undefined, options);
+    /** @type {Map<K, any>} */
+    this._index = new Map();
+    /** @type {Map<K, any[]>} Keys touched inside a transaction, with replaced handles. */
+    this._shadowed = new Map();
+    /** True once clear() ran inside a transaction. */
+    this._clearedInTransaction = false;
+    if (entries != null) {
+      for (const [key, value] of entries) this.set(key, value);
+    }
+  }
+
+  get size() {
+    return this._list.length;
+  }
+
+  /** @param {K} key */
+  has(key) {
+    return this._handle(key) !== undefined;
+  }
+
+  /** @param {K} key */
+  get(key) {
+    return this._handle(key)?.value.value;
+  }
+
+  /**
+   * Add an entry at the back, or replace the value of an existing key in place.
+   * @param {K} key
+   * @param {V} value
+   */
+  set(key, value) {
+    const handle = this._handle(key);
+    if (handle) handle.value = Object.freeze({ key, value });
+    else this._remember(key, this._list.appendHandle(Object.freeze({ key, value })));
+    return this;
+  }
+
+  /**
+   * @param {K} key
+   * @returns {boolean} Whether the key was present.
+   */
+  delete(key) {
+    const handle = this._handle(key);
+    if (!handle) return false;
+
+    this._list.removeHandle(handle);
+    if (!this._inTransaction()) this._index.delete(key);
+    else if (!this._shadowed.has(key)) this._shadowed.set(key, []);
+    return true;
+  }
+
+  clear() {
+    this._list.clear();
+    if (this._inTransaction()) {
+      this._clearedInTransaction = true;
+    } else {
+      this._index.clear();
+      this._shadowed.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Insert an entry right before refKey's entry. An existing key moves there
+   * and takes the new value.
+   * @param {K} refKey
+   * @param {K} key
+   * @param {V} value
+   * @throws {RangeError} If refKey is missing.
+   */
+  insertBefore(refKey, key, value) {
+    return this._insertNextTo(refKey, key, value, "insertBeforeHandle");
+  }
+
+  /**
+   * Insert an entry right after refKey's entry. An existing key moves there
+   * and takes the new value.
+   * @param {K} refKey
+   * @param {K} key
+   * @param {V} value
+   * @throws {RangeError} If refKey is missing.
+   */
+  insertAfter(refKey, key, value) {
+    return this._insertNextTo(refKey, key, value, "insertAfterHandle");
+  }
+
+  /**
+   * @param {K} key
+   * @returns {boolean} Whether the key was present.
+   */
+  moveToFront(key) {
+    const handle = this._handle(key);
+    if (handle) this._list.moveToFront(handle);
+    return handle !== undefined;
+  }
+
+  /**
+   * @param {K} key
+   * @returns {boolean} Whether the key was present.
+   */
+  moveToBack(key) {
+    const handle = this._handle(key);
+    if (handle) this._list.moveToBack(handle);
+    return handle !== undefined;
+  }
+
+  /** @param {number} [direction] 1 from the front, -1 from the back. */
+  *keys(direction = 1) {
+    for (const entry of this._records(direction)) yield entry.key;
+  }
+
+  /** @param {number} [direction] 1 from the front, -1 from the back. */
+  *values(direction = 1) {
+    for (const entry of this._records(direction)) yield entry.value;
+  }
+
+  /** @param {number} [direction] 1 from the front, -1 from the back. */
+  *entries(direction = 1) {
+    for (const entry of this._records(direction)) yield [entry.key, entry.value];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  forEach(callback) {
+    for (const entry of this._records(1)) callback(entry.value, entry.key, this);
+    return this;
+  }
+
+  /**
+   * Read-only cursor over the `{ key, value }` records; edit entries through
+   * the map.
+   * @returns {EntryCursor}
+   */
+  cursor() {
+    return new EntryCursor(this._list.cursor());
+  }
+
+  /**
+   * @param {number} index
+   * @returns {EntryCursor}
+   */
+  cursorAt(index) {
+    return new EntryCursor(this._list.cursorAt(index));
+  }
+
+  beginTransaction() {
+    return this._list.beginTransaction();
+  }
+
+  /** See UltimateLinkedList#transaction. */
+  transaction(fn, options) {
+    return this._list.transaction(fn, options);
+  }
+
+  /** See UltimateLinkedList#batch. */
+  batch(fn) {
+    return this._list.batch(fn);
+  }
+
+  /**
+   * Subscribe to the list's events, rewritten to carry `key` and the entry's
+   * value. Events need `observable: true`.
+   */
+  addChangeListener(listener) {
+    return this._list.addChangeListener((event) => listener(toMapEvent(event)));
+  }
+
+  /** @param {number} direction */
+  _records(direction) {
+    return direction === -1 ? this._reversedRecords() : this._list;
+  }
+
+  /**
+   * Walk the list's nodes back to front. A cursor would do, but a live cursor
+   * makes the list compute indices for every handle operation.
+   */
+  *_reversedRecords() {
+    const list = this._list;
+    for (let node = list._tail.prev; node !== list._head; node = node.prev) {
+      yield node.value;
+      if (!list._owns(node)) {
+        throw new Error("Concurrent modification during iteration");
+      }
+    }
+  }
+
+  _inTransaction() {
+    return !!this._list._activeTransaction();
+  }
+
+  /**
+   * Live handle for key. Inside a transaction, a stale handle falls back to a
+   * replaced one that a rollback relinked.
+   * @param {K} key
+   */
+  _handle(key) {
+    this._settle();
+    const handle = this._index.get(key);
+    if (handle === undefined || handle.valid()) return handle;
+
+    const revived = this._shadowed.get(key)?.find((candidate) => candidate.valid());
+    if (revived) this._index.set(key, revived);
+    else if (!this._inTransaction()) this._index.delete(key);
+    return revived;
+  }
+
+  /**
+   * Once no transaction is active, point every key touched inside one at its
+   * live handle or drop it. Costs O(keys touched), or O(n) after a clear.
+   */
+  _settle() {
+    if (this._shadowed.size === 0 && !this._clearedInTransaction) return;
+    if (this._inTransaction()) return;
+
+    const keys = this._clearedInTransaction ? [...this._index.keys()] : [];
+    for (const key of [...keys, ...this._shadowed.keys()]) {
+      if (this._index.get(key)?.valid()) continue;
+      const revived = this._shadowed.get(key)?.find((candidate) => candidate.valid());
+      if (revived) this._index.set(key, revived);
+      else this._index.delete(key);
+    }
+    this._shadowed.clear();
+    this._clearedInTransaction = false;
+  }
+
+  /** Point key at a new handle, keeping the stale one while it may be revived. */
+  _remember(key, handle) {
+    const previous = this._index.get(key);
+    if (previous && this._inTransaction()) {
+      const shadowed = this._shadowed.get(key);
+      if (shadowed) shadowed.push(previous);
+      else this._shadowed.set(key, [previous]);
+    }
+    this._index.set(key, handle);
+  }
+
+  _insertNextTo(refKey, key, value, method) {
+    const ref = this._handle(refKey);
+    if (!ref) {
+      throw new RangeError(`No entry for key ${String(refKey)}`);
+    }
+    if (key === refKey) {
+      ref.value = Object.freeze({ key, value });
+      return this;
+    }
+
+    const existing = this._handle(key);
+    if (existing) this._list.removeHandle(existing);
+    this._remember(key, this._list[method](ref, Object.freeze({ key, value })));
+    return this;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "OrderedMap";
+  }
+}
+
+/**
+ * Insertion-ordered set backed by an OrderedMap whose keys and values match.
+ * @template T
+ * @implements {Iterable<T>}
+ */
+class OrderedSet {
+  /**
+   * @param {Iterable<T>} [values]
+   * @param {{ observable?: boolean, strict?: boolean }} [options]
+   */
+  constructor(values, options) {
+    /** @type {OrderedMap<T, T>} */
+    this._map = new OrderedMap(undefined, options);
+    if (values != null) {
+      for (const value of values) this.add(value);
+    }
+  }
+
+  get size() {
+    return this._map.size;
+  }
+
+  /** @param {T} value */
+  has(value) {
+    return this._map.has(value);
+  }
+
+  /** Add a value at the back; existing values keep their place. */
+  add(value) {
+    if (!this._map.has(value)) this._map.set(value, value);
+    return this;
+  }
+
+  /** @param {T} value */
+  delete(value) {
+    return this._map.delete(value);
+  }
+
+  clear() {
+    this._map.clear();
+    return this;
+  }
+
+  /**
+   * @param {T} ref
+   * @param {T} value
+   * @throws {RangeError} If ref is missing.
+   */
+  insertBefore(ref, value) {
+    this._map.insertBefore(ref, value, value);
+    return this;
+  }
+
+  /**
+   * @param {T} ref
+   * @param {T} value
+   * @throws {RangeError} If ref is missing.
+   */
+  insertAfter(ref, value) {
+    this._map.insertAfter(ref, value, value);
+    return this;
+  }
+
+  /** @param {T} value */
+  moveToFront(value) {
+    return this._map.moveToFront(value);
+  }
+
+  /** @param {T} value */
+  moveToBack(value) {
+    return this._map.moveToBack(value);
+  }
+
+  /** @param {number} [direction] 1 from the front, -1 from the back. */
+  values(direction = 1) {
+    return this._map.keys(direction);
+  }
+
+  /** @param {number} [direction] */
+  keys(direction = 1) {
+    return this._map.keys(direction);
+  }
+
+  /** @param {number} [direction] */
+  *entries(direction = 1) {
+    for (const value of this._map.keys(direction)) yield [value, value];
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  forEach(callback) {
+    for (const value of this._map.keys()) callback(value, value, this);
+    return this;
+  }
+
+  cursor() {
+    return this._map.cursor();
+  }
+
+  /** @param {number} index */
+  cursorAt(index) {
+    return this._map.cursorAt(index);
+  }
+
+  beginTransaction() {
+    return this._map.beginTransaction();
+  }
+
+  transaction(fn, options) {
+    return this._map.transaction(fn, options);
+  }
+
+  batch(fn) {
+    return this._map.batch(fn);
+  }
+
+  /** Subscribe to change events; each carries `key` and `index`. */
+  addChangeListener(listener) {
+    return this._map.addChangeListener(listener);
+  }
+
+  get [Symbol.toStringTag]() {
+    return "OrderedSet";
+  }
+}
+
+export { OrderedMap, OrderedSet };
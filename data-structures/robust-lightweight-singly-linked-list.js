@@ -12,8 +12,14 @@
    • Negative indices for indexed operations; insertAt uses insertion semantics.
    • Length exposed as read-only getter `.length` (no method/property clash).
    • Constant-time first / last access; preallocated toArray().
+   • Stable in-place merge sort (O(n log n), O(1) extra space) + sortBy keys.
+   • Optional capacity with throw / drop-oldest / drop-newest / reject overflow.
    ------------------------------------------------------------------------- */
 
+import { toComparator, keyComparators, mergeSortChain } from "./list-sorting.js";
+
+const OVERFLOW_POLICIES = ["throw", "drop-oldest", "drop-newest", "reject"];
+
 /** @template T */
 class LinkedList /** @implements {Iterable<T>} */ {
   /* ——— PRIVATE STATE ——— */
@@ -23,10 +29,26 @@ class LinkedList /** @implements {Iterable<T>} */ {
   };
   #tail = this.#head; //  tail sentinel (points to last *real* node or head)
   #size = 0;
+  #capacity = Infinity;
+  #overflow = "throw";
+  #onEvict = undefined;
 
   /* ——— CONSTRUCTION ——— */
-  /**  Build from any iterable or nothing.  */
-  constructor(iterable) {
+  /**
+   * Build from any iterable or nothing. Options: `capacity` (max length),
+   * `overflow` ("throw" | "drop-oldest" | "drop-newest" | "reject") and
+   * `onEvict(value)` for dropped or rejected values.
+   */
+  constructor(iterable, { capacity = Infinity, overflow = "throw", onEvict } = {}) {
+    if (capacity !== Infinity && !(Number.isInteger(capacity) && capacity >= 0))
+      throw new RangeError("capacity must be a non-negative integer or Infinity");
+    if (!OVERFLOW_POLICIES.includes(overflow))
+      throw new TypeError(`Unknown overflow policy: ${overflow}`);
+    if (onEvict !== undefined && typeof onEvict !== "function")
+      throw new TypeError("onEvict must be a function");
+    this.#capacity = capacity;
+    this.#overflow = overflow;
+    this.#onEvict = onEvict;
     if (iterable == null) return;
     for (const value of iterable) this.append(value);
   }
@@ -37,6 +59,11 @@ class LinkedList /** @implements {Iterable<T>} */ {
     return this.#size;
   }
 
+  /** Maximum length (Infinity when unbounded). */
+  get capacity() {
+    return this.#capacity;
+  }
+
   /** True ⇢ list holds zero elements. */
   isEmpty() {
     return this.#size === 0;
@@ -52,22 +79,60 @@ class LinkedList /** @implements {Iterable<T>} */ {
     return this.#tail === this.#head ? undefined : this.#tail.value;
   }
 
+  /* ——— CAPACITY ——— */
+  /** Overflow check before adding `count` values; false ⇢ skip the insert. */
+  #admit(count, values = []) {
+    if (this.#size + count <= this.#capacity) return true;
+    if (this.#overflow === "throw")
+      throw new RangeError(`List capacity ${this.#capacity} exceeded`);
+    if (this.#overflow === "reject") {
+      for (const v of values) this.#onEvict?.(v);
+      return false;
+    }
+    return true; // drop policies trim afterwards
+  }
+
+  /** Drop from the front (drop-oldest, O(1) each) or back (drop-newest, one O(n) pass). */
+  #trim() {
+    if (this.#size <= this.#capacity) return;
+    if (this.#overflow === "drop-oldest") {
+      while (this.#size > this.#capacity) this.#onEvict?.(this.removeAt(0));
+      return;
+    }
+    const keep = this.#capacity;
+    const last = keep === 0 ? this.#head : this.#seek(keep - 1).curr;
+    const dropped = [];
+    for (let n = last.next; n; n = n.next) dropped.push(n.value);
+    last.next = null;
+    this.#tail = last;
+    this.#size = keep;
+    for (let i = dropped.length - 1; i >= 0; i--) this.#onEvict?.(dropped[i]); // newest first
+  }
+
   /* ——— MUTATORS ——— */
-  /** Append value in O(1). */
+  /** Append value in O(1) (subject to capacity). */
   append(value) {
+    if (!this.#admit(1, [value])) return this;
+    if (this.#overflow === "drop-newest" && this.#size >= this.#capacity) {
+      this.#onEvict?.(value); // the newcomer is the newest: drop it in O(1)
+      return this;
+    }
     const node = { value, next: null };
     this.#tail.next = node;
     this.#tail = node;
     this.#size++;
+    this.#trim();
     return this;
   }
 
-  /** Prepend value in O(1). */
+  /** Prepend value in O(1) (O(n) when drop-newest trims the back). */
   prepend(value) {
+    if (!this.#admit(1, [value])) return this;
     const node = { value, next: this.#head.next };
     this.#head.next = node;
     if (this.#tail === this.#head) this.#tail = node; // first real node
     this.#size++;
+    this.#trim();
     return this;
   }
 
@@ -79,9 +144,11 @@ class LinkedList /** @implements {Iterable<T>} */ {
     if (index < 0 || index > this.#size)
       throw new RangeError("Index out of bounds");
     if (index === this.#size) return this.append(value); // fast-path
+    if (!this.#admit(1, [value])) return this;
     const { prev } = this.#seek(index);
     prev.next = { value, next: prev.next };
     this.#size++;
+    this.#trim();
     return this;
   }
 
@@ -137,17 +204,42 @@ class LinkedList /** @implements {Iterable<T>} */ {
     return this;
   }
 
+  /**
+   * Stable bottom-up merge sort *in-place*: relinks nodes in O(n log n) with
+   * O(1) extra space. Accepts a comparator or an array of comparators (tried in
+   * turn). A throwing comparator leaves every node linked, in unspecified order.
+   */
+  sort(compareFn) {
+    const cmp = toComparator(compareFn);
+    if (this.#size < 2) return this;
+    try {
+      this.#tail = mergeSortChain(this.#head, this.#size, cmp);
+    } catch (error) {
+      let last = this.#head;
+      while (last.next) last = last.next;
+      this.#tail = last;
+      throw error;
+    }
+    return this;
+  }
+
+  /** Sort by derived keys; later keys only break ties. */
+  sortBy(...keys) {
+    return this.sort(keyComparators(keys));
+  }
+
   /** Concatenate `other` onto *this* in **O(1)**; empties `other`. */
   concat(other) {
     if (!(other instanceof LinkedList))
       throw new TypeError("Argument must be LinkedList");
     if (other === this)
       throw new TypeError("Cannot concatenate list with itself");
-    if (other.#size === 0) return this;
+    if (other.#size === 0 || !this.#admit(other.#size)) return this; // rejected donors keep their nodes
     this.#tail.next = other.#head.next;
     this.#tail = other.#tail;
     this.#size += other.#size;
     other.clear(); // leave donor empty to avoid accidental misuse
+    this.#trim();
     return this;
   }
 
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { pathToFileURL } from "node:url";
+import test from "node:test";
+
+const moduleUrl = pathToFileURL(
+  new URL("../data-structures/async-channel.js", import.meta.url).pathname
+).href;
+
+async function importQuietly() {
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args);
+  try {
+    const module = await import(`${moduleUrl}?cacheBust=${Date.now()}-${Math.random()}`);
+    return { module, logs };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test("module import has no console output", async () => {
+  const { module, logs } = await importQuietly();
+
+  assert.equal(typeof module.AsyncChannel, "function");
+  assert.deepEqual(logs, []);
+});
+
+test("takers wait for items and receive them in order", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const channel = new AsyncChannel();
+  const first = channel.take();
+  const second = channel.take();
+
+  await channel.put("a");
+  await channel.put("b");
+  await channel.put("c");
+
+  assert.deepEqual(await Promise.all([first, second]), ["a", "b"]);
+  assert.equal(channel.size, 1);
+  assert.equal(await channel.take(), "c");
+});
+
+test("put applies backpressure at capacity", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const channel = new AsyncChannel({ capacity: 1 });
+  const delivered = [];
+  await channel.put(1);
+  const blocked = channel.put(2).then(() => delivered.push(2));
+  const alsoBlocked = channel.put(3).then(() => delivered.push(3));
+
+  await null;
+  assert.deepEqual(delivered, []);
+  assert.equal(channel.size, 1);
+
+  assert.equal(await channel.take(), 1);
+  await blocked;
+  assert.deepEqual(delivered, [2]);
+  assert.equal(await channel.take(), 2);
+  assert.equal(await channel.take(), 3);
+  await alsoBlocked;
+  assert.throws(() => new AsyncChannel({ capacity: 1.5 }), /non-negative integer/);
+});
+
+test("a zero-capacity channel hands items straight to takers", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const channel = new AsyncChannel({ capacity: 0 });
+  let delivered = false;
+  const put = channel.put("x").then(() => (delivered = true));
+
+  await null;
+  assert.equal(delivered, false);
+  assert.equal(channel.size, 0);
+  assert.equal(await channel.take(), "x");
+  await put;
+  assert.equal(delivered, true);
+});
+
+test("close rejects waiters but lets buffered items drain", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const empty = new AsyncChannel();
+  const waiting = empty.take();
+  empty.close();
+  empty.close();
+  await assert.rejects(waiting, /Channel is closed/);
+  await assert.rejects(empty.put(1), /Channel is closed/);
+
+  const full = new AsyncChannel({ capacity: 1 });
+  await full.put("kept");
+  const blocked = full.put("dropped");
+  full.close();
+  await assert.rejects(blocked, /Channel is closed/);
+  assert.equal(full.closed, true);
+  assert.equal(await full.take(), "kept");
+  await assert.rejects(full.take(), /Channel is closed/);
+});
+
+test("abort signals cancel waiting takers and putters", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const channel = new AsyncChannel({ capacity: 0 });
+  const controller = new AbortController();
+  const cancelled = channel.take({ signal: controller.signal });
+  const kept = channel.take();
+
+  controller.abort(new Error("stop waiting"));
+  await assert.rejects(cancelled, /stop waiting/);
+  await channel.put("for kept");
+  assert.equal(await kept, "for kept");
+
+  await assert.rejects(channel.take({ signal: AbortSignal.abort(new Error("early")) }), /early/);
+
+  const putController = new AbortController();
+  const put = channel.put("never", { signal: putController.signal });
+  putController.abort(new Error("gave up"));
+  await assert.rejects(put, /gave up/);
+
+  const late = new AbortController();
+  const taken = channel.take({ signal: late.signal });
+  await channel.put("in time");
+  late.abort();
+  assert.equal(await taken, "in time");
+});
+
+test("for await reads items until the channel closes", async () => {
+  const {
+    module: { AsyncChannel },
+  } = await importQuietly();
+
+  const channel = new AsyncChannel({ capacity: 2 });
+  const producer = (async () => {
+    for (let item = 1; item <= 5; item++) await channel.put(item);
+    channel.close();
+  })();
+
+  const received = [];
+  for await (const item of channel) received.push(item);
+  await producer;
+
+  assert.deepEqual(received, [1, 2, 3, 4, 5]);
+});
@@ -23,7 +23,10 @@ test("module import has no console output", async () => {
 
   assert.equal(typeof module.UltimateLinkedList, "function");
   assert.equal(typeof module.ImmutableLinkedList, "function");
+  assert.equal(typeof module.ListView, "function");
+  assert.equal(typeof module.NodeHandle, "function");
   assert.equal(typeof module.Transaction, "function");
+  assert.equal(typeof module.TransactionGroup, "function");
   assert.equal(typeof module.Cursor, "function");
   assert.deepEqual(logs, []);
 });
@@ -158,45 +161,210 @@ test("generic iterable concat does not spread the iterable", async () => {
   assert.deepEqual(list.toArray(), [1, 2, 3]);
 });
 
-test("list-to-list concat rejects active transactions without changing either list", async () => {
+test("list-to-list concat rolls back by returning nodes to the donor", async () => {
   const {
     module: { UltimateLinkedList },
   } = await importQuietly();
 
-  const receiver = UltimateLinkedList.of("a");
-  const donor = UltimateLinkedList.of("b", "c");
-  receiver.beginTransaction().begin();
+  const receiver = new UltimateLinkedList(["a"], { observable: true });
+  const donor = new UltimateLinkedList(["b", "c"], { observable: true });
+  const receiverEvents = [];
+  const donorEvents = [];
+  receiver.addChangeListener((event) => receiverEvents.push(event));
+  donor.addChangeListener((event) => donorEvents.push(event));
+  const onC = donor.cursorAt(1);
+
+  const transaction = receiver.beginTransaction().begin();
+  receiver.concat(donor);
+  receiver.append("d");
+  assert.deepEqual(receiver.toArray(), ["a", "b", "c", "d"]);
+  assert.deepEqual(donor.toArray(), []);
+  assert.throws(() => onC.value(), /Concurrent modification during cursor traversal/);
+  transaction.rollback();
 
-  assert.throws(() => receiver.concat(donor), /Cannot concatenate during an active transaction/);
   assert.deepEqual(receiver.toArray(), ["a"]);
   assert.deepEqual(donor.toArray(), ["b", "c"]);
+  assert.equal(onC.value(), "c");
+  assert.equal(onC.index(), 1);
+  assert.equal(receiver.cursorAt(0).next().valid(), false);
+  assert.deepEqual(receiverEvents, [
+    {
+      type: "transaction",
+      action: "rollback",
+      events: [
+        { type: "concat", index: 1, size: 2, values: ["b", "c"] },
+        { type: "add", index: 3, value: "d" },
+      ],
+    },
+  ]);
+  assert.deepEqual(donorEvents, [
+    { type: "clear", size: 2 },
+    { type: "concat", index: 0, size: 2, values: ["b", "c"] },
+  ]);
+});
 
-  const secondReceiver = UltimateLinkedList.of("a");
-  const secondDonor = UltimateLinkedList.of("b", "c");
-  secondDonor.beginTransaction().begin();
+test("a donor's transaction rolls back concat when the receiver kept the nodes", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
 
-  assert.throws(
-    () => secondReceiver.concat(secondDonor),
-    /Cannot concatenate during an active transaction/
-  );
-  assert.deepEqual(secondReceiver.toArray(), ["a"]);
-  assert.deepEqual(secondDonor.toArray(), ["b", "c"]);
+  const receiver = new UltimateLinkedList(["a"], { observable: true });
+  const donor = UltimateLinkedList.of("b", "c");
+  const receiverEvents = [];
+  const replica = UltimateLinkedList.of("a");
+  receiver.addChangeListener((event) => receiverEvents.push(event));
+  receiver.addChangeListener((event) => replica.applyEvent(event));
+
+  const transaction = donor.beginTransaction().begin();
+  receiver.concat(donor);
+  receiver.prepend("z");
+  donor.append("x");
+  transaction.rollback();
+
+  assert.deepEqual(receiver.toArray(), ["z", "a"]);
+  assert.deepEqual(donor.toArray(), ["b", "c"]);
+  assert.deepEqual(receiverEvents.at(-1), { type: "remove", index: 2, values: ["b", "c"] });
+  assert.deepEqual(replica.toArray(), ["z", "a"]);
+
+  const single = UltimateLinkedList.of("s");
+  const singleTransaction = single.beginTransaction().begin();
+  receiver.concat(single);
+  singleTransaction.rollback();
+  assert.deepEqual(receiverEvents.at(-1), { type: "remove", index: 2, value: "s" });
+  assert.deepEqual(replica.toArray(), ["z", "a"]);
+
+  const second = donor.beginTransaction().begin();
+  receiver.concat(donor);
+  receiver.pop();
+  assert.throws(() => second.rollback(), /receiving list has changed its nodes/);
+  assert.doesNotThrow(() => second.savepoint("still-open"));
+  assert.deepEqual(receiver.toArray(), ["z", "a", "b"]);
+  second.commit();
+});
+
+test("concat journaled by both transactions is undone once", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const receiver = UltimateLinkedList.of(1);
+  const donor = UltimateLinkedList.of(2, 3);
+  const receiverTransaction = receiver.beginTransaction().begin();
+  const donorTransaction = donor.beginTransaction().begin();
+
+  donor.prepend(0);
+  receiver.concat(donor);
+  receiverTransaction.rollback();
+  assert.deepEqual(donor.toArray(), [0, 2, 3]);
+
+  donorTransaction.rollback();
+  assert.deepEqual(receiver.toArray(), [1]);
+  assert.deepEqual(donor.toArray(), [2, 3]);
+});
+
+test("elements moved through chains of concats belong to the last receiver until a rollback", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  let list = new UltimateLinkedList();
+  const first = list.appendHandle("first");
+  const lists = [list];
+  for (let step = 0; step < 50; step++) {
+    const receiver = UltimateLinkedList.of(step);
+    receiver.concat(list);
+    list = receiver;
+    lists.push(list);
+  }
+  assert.equal(first.valid(), false);
+  assert.equal(list.cursor().next().value(), 49);
+  assert.equal(list.length, 51);
+  assert.equal([...list].at(-1), "first");
+  assert.ok(lists.slice(0, -1).every((each) => each.length === 0));
+
+  const a = new UltimateLinkedList();
+  const aHandle = a.appendHandle("a");
+  const b = new UltimateLinkedList();
+  const bHandle = b.appendHandle("b");
+  b.concat(a);
+  const c = UltimateLinkedList.of("c");
+  const transaction = c.beginTransaction().begin();
+  c.concat(b);
+  assert.deepEqual([...c], ["c", "b", "a"]);
+  assert.equal(bHandle.valid(), false);
+  transaction.rollback();
+  assert.deepEqual([...b], ["b", "a"]);
+  assert.deepEqual([...c], ["c"]);
+  assert.equal(bHandle.valid(), true);
+  assert.equal(aHandle.valid(), false);
+
+  const second = c.beginTransaction().begin();
+  c.concat(b);
+  second.commit();
+  c.appendHandle("d");
+  assert.deepEqual([...c], ["c", "b", "a", "d"]);
+  assert.equal(bHandle.valid(), false);
+  assert.throws(() => b.moveToFront(bHandle), /stale|handle/i);
 });
 
-test("splitAt rejects active transactions without transferring nodes", async () => {
+test("splitAt rolls back by re-joining the split-off list", async () => {
   const {
     module: { UltimateLinkedList },
   } = await importQuietly();
 
-  const list = UltimateLinkedList.of("a", "b", "c");
+  for (const index of [1, 3]) {
+    const list = new UltimateLinkedList(["a", "b", "c", "d"], { observable: true });
+    const onB = list.cursorAt(1);
+    const transaction = list.beginTransaction().begin();
+    const tail = list.splitAt(index);
+    const tailEvents = [];
+    tail.addChangeListener((event) => tailEvents.push(event));
+
+    list.append("x");
+    transaction.rollback();
+
+    assert.deepEqual(list.toArray(), ["a", "b", "c", "d"]);
+    assert.deepEqual(tail.toArray(), []);
+    assert.deepEqual(tailEvents, [{ type: "clear", size: 4 - index }]);
+    assert.equal(onB.value(), "b");
+    assert.equal(onB.index(), 1);
+    assert.deepEqual([...list.cursor().setDirection(-1)], ["d", "c", "b", "a"]);
+    assert.equal(list.cursorAt(3).remove(), "d");
+  }
+
+  const list = UltimateLinkedList.of(1, 2, 3);
   const transaction = list.beginTransaction().begin();
+  const tail = list.splitAt(1);
+  tail.append(4);
+  assert.throws(() => transaction.rollback(), /split-off list has changed/);
+  assert.deepEqual(list.toArray(), [1]);
+});
 
-  assert.throws(() => list.splitAt(1), /Cannot split during an active transaction/);
-  assert.deepEqual(list.toArray(), ["a", "b", "c"]);
-  assert.equal(list.length, 3);
+test("merging and splitting queues inside one transaction rolls back exactly", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const queue = UltimateLinkedList.of(1, 2, 3, 4, 5);
+  const incoming = UltimateLinkedList.of(6, 7);
+  const transaction = queue.beginTransaction().begin();
+
+  const batch = queue.splitAt(2);
+  queue.concat(incoming);
+  const rest = queue.splitAt(1);
+  queue.concat(rest);
+  queue.concat(batch);
+  assert.deepEqual(queue.toArray(), [1, 2, 6, 7, 3, 4, 5]);
 
   transaction.rollback();
-  assert.deepEqual(list.toArray(), ["a", "b", "c"]);
+  assert.deepEqual(queue.toArray(), [1, 2, 3, 4, 5]);
+  assert.deepEqual(incoming.toArray(), [6, 7]);
+  assert.deepEqual(batch.toArray(), []);
+  assert.equal(queue.cursorAt(4).value(), 5);
+  queue.removeAt(2);
+  incoming.removeAt(0);
+  assert.deepEqual(queue.toArray(), [1, 2, 4, 5]);
+  assert.deepEqual(incoming.toArray(), [7]);
 });
 
 test("list-to-list concat splices without materializing donor values", async () => {
@@ -215,7 +383,7 @@ test("list-to-list concat splices without materializing donor values", async ()
   assert.equal(donor.length, 0);
 });
 
-test("observable list-to-list concat emits constant-size splice events", async () => {
+test("observable list-to-list concat reports moved values without copying the donor", async () => {
   const {
     module: { UltimateLinkedList },
   } = await importQuietly();
@@ -232,7 +400,7 @@ test("observable list-to-list concat emits constant-size splice events", async (
 
   receiver.concat(donor);
 
-  assert.deepEqual(receiverEvents, [{ type: "concat", index: 1, size: 2 }]);
+  assert.deepEqual(receiverEvents, [{ type: "concat", index: 1, size: 2, values: ["b", "c"] }]);
   assert.deepEqual(donorEvents, [{ type: "clear", size: 2 }]);
 });
 
@@ -404,3 +572,1966 @@ test("range rejects inputs whose step cannot advance the current value", async (
   assert.deepEqual(UltimateLinkedList.range(1, 5, 2).toArray(), [1, 3]);
   assert.deepEqual(UltimateLinkedList.range(5, 1, -2).toArray(), [5, 3]);
 });
+
+test("cursor edits keep the editing cursor valid and invalidate other strict traversals", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList(["a", "b", "c"], { strict: true });
+  const cursor = list.cursorAt(1);
+  const other = list.cursor().next();
+  const iterator = list[Symbol.iterator]();
+
+  cursor.insertBefore("x").insertAfter("y");
+  assert.equal(cursor.value(), "b");
+  assert.equal(cursor.index(), 2);
+  assert.equal(cursor.replace("B"), "b");
+  assert.deepEqual(list.toArray(), ["a", "x", "B", "y", "c"]);
+
+  assert.equal(cursor.remove(), "B");
+  assert.equal(cursor.value(), "y");
+  assert.equal(cursor.index(), 2);
+  assert.equal(cursor.setDirection(-1).remove(), "y");
+  assert.equal(cursor.value(), "x");
+  assert.equal(cursor.index(), 1);
+  assert.deepEqual(list.toArray(), ["a", "x", "c"]);
+
+  assert.throws(() => other.next(), /Concurrent modification during cursor traversal/);
+  assert.throws(() => iterator.next(), /Concurrent modification during iteration/);
+});
+
+test("cursor edits off the list throw or return undefined without changes", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1, 2);
+  const cursor = list.cursor();
+
+  assert.throws(() => cursor.insertBefore(0), /not positioned on an element/);
+  assert.throws(() => cursor.insertAfter(0), /not positioned on an element/);
+  assert.throws(() => cursor.replace(0), /not positioned on an element/);
+  assert.equal(cursor.remove(), undefined);
+  assert.throws(() => list.cursorAt(5).insertAfter(0), /not positioned on an element/);
+  assert.deepEqual(list.toArray(), [1, 2]);
+});
+
+test("cursor edits emit change events and roll back inside transactions", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+
+  const cursor = list.cursorAt(1);
+  cursor.insertBefore(9);
+  cursor.replace(20);
+  cursor.remove();
+
+  const transaction = list.beginTransaction().begin();
+  list.cursorAt(0).insertAfter(7);
+  transaction.rollback();
+
+  assert.deepEqual(events, [
+    { type: "add", index: 1, value: 9 },
+    { type: "update", index: 2, oldValue: 2, newValue: 20 },
+    { type: "remove", index: 2, value: 20 },
+    {
+      type: "transaction",
+      action: "rollback",
+      events: [{ type: "add", index: 1, value: 7 }],
+    },
+  ]);
+  assert.deepEqual(list.toArray(), [1, 9, 3]);
+});
+
+test("cursors step both ways, seek, clone, and measure distance", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("a", "b", "c", "d", "e");
+  const cursor = list.cursorAt(2);
+
+  assert.equal(cursor.prev().value(), "b");
+  assert.equal(cursor.next().next().value(), "d");
+  assert.equal(cursor.index(), 3);
+
+  const copy = cursor.clone().setDirection(-1);
+  assert.equal(copy.next().value(), "c");
+  assert.equal(cursor.value(), "d");
+  assert.equal(copy.distanceTo(cursor), 1);
+  assert.equal(cursor.distanceTo(copy), -1);
+
+  assert.equal(cursor.seek(-1).value(), "e");
+  assert.equal(cursor.atEnd(), true);
+  assert.equal(cursor.seek(0).atStart(), true);
+  assert.equal(cursor.seek(4.5).valid(), false);
+  assert.equal(cursor.index(), -1);
+  assert.equal(cursor.seek(1).value(), "b");
+  assert.throws(() => cursor.distanceTo(list.cursor()), /not positioned on an element/);
+  assert.throws(() => cursor.distanceTo(UltimateLinkedList.of(1).cursorAt(0)), /different lists/);
+});
+
+test("cursors stop past either end and iterate backward from their position", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1, 2, 3, 4);
+  const cursor = list.cursorAt(0);
+
+  assert.equal(cursor.prev().valid(), false);
+  assert.equal(cursor.prev().valid(), false);
+  assert.equal(cursor.next().value(), 1);
+
+  cursor.seek(2);
+  assert.deepEqual([...cursor.values(-1)], [3, 2, 1]);
+  assert.deepEqual([...cursor.values(1)], [1, 2, 3, 4]);
+  assert.deepEqual([...cursor], []);
+  assert.deepEqual([...cursor.setDirection(-1)], [4, 3, 2, 1]);
+});
+
+test("cursors and iterators survive changes that keep their node and track its index", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.from(Array.from({ length: 6 }, (_, index) => index));
+  const cursor = list.cursorAt(2);
+  const iterator = list[Symbol.iterator]();
+  iterator.next();
+
+  list.append(6);
+  list.prepend(-1);
+  list.insertAt(-2, 1);
+  list.removeAt(0);
+  list.push(7, 8);
+  list.unshift(-4, -3);
+
+  assert.equal(cursor.value(), 2);
+  assert.equal(cursor.index(), list.indexOf(2));
+  assert.equal(cursor.next().value(), 3);
+  assert.deepEqual(iterator.next(), { done: false, value: 1 });
+
+  list.reverse();
+  assert.equal(cursor.index(), list.indexOf(3));
+  assert.equal(cursor.next().value(), 2);
+
+  list.cursorAt(cursor.index()).remove();
+  assert.throws(() => cursor.value(), /Concurrent modification during cursor traversal/);
+  assert.equal(cursor.reset().value(), 8);
+});
+
+test("cursor indices stay right across sorts, rotations, rollbacks, and their own edits", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.from([5, 3, 8, 1, 9, 2]);
+  const cursor = list.cursorAt(2);
+  const copy = cursor.clone().next();
+
+  list.sort((a, b) => a - b);
+  assert.equal(cursor.index(), list.indexOf(8));
+  assert.equal(copy.index(), list.indexOf(1));
+  list.rotate(2);
+  assert.equal(cursor.index(), list.indexOf(8));
+
+  const transaction = list.beginTransaction().begin();
+  list.prepend(0);
+  list.removeAt(-1);
+  assert.equal(cursor.index(), list.indexOf(8));
+  transaction.rollback();
+  assert.equal(cursor.index(), list.indexOf(8));
+
+  cursor.insertBefore(7).insertAfter(10);
+  assert.equal(cursor.index(), list.indexOf(8));
+  assert.equal(cursor.prev().value(), 7);
+  assert.equal(cursor.remove(), 7);
+  assert.equal(cursor.index(), list.indexOf(8));
+  list.append(11);
+  assert.equal(cursor.seek(-1).value(), 11);
+  assert.equal(copy.index(), list.indexOf(1));
+
+  list.prepend(-1);
+  assert.equal(copy.index(), list.indexOf(1));
+});
+
+test("cursors and iterators fail fast once their node leaves the list", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("a", "b", "c", "d");
+  const head = list.cursorAt(0);
+  const tail = list.cursorAt(3);
+  const iterator = list[Symbol.iterator]();
+  iterator.next();
+  iterator.next();
+
+  const tailList = list.splitAt(3);
+  assert.equal(head.value(), "a");
+  assert.throws(() => tail.value(), /Concurrent modification during cursor traversal/);
+  assert.deepEqual(iterator.next(), { done: false, value: "c" });
+
+  const receiver = UltimateLinkedList.of("z");
+  receiver.concat(list);
+  assert.throws(() => head.next(), /Concurrent modification during cursor traversal/);
+  assert.throws(() => iterator.next(), /Concurrent modification during iteration/);
+
+  const moved = receiver.cursorAt(1);
+  const empty = receiver.splitAt(1);
+  assert.throws(() => moved.value(), /Concurrent modification during cursor traversal/);
+  assert.deepEqual(empty.toArray(), ["a", "b", "c"]);
+  assert.deepEqual(tailList.toArray(), ["d"]);
+});
+
+test("strict lists keep fail-fast invalidation for any structural change", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], { strict: true });
+  const cursor = list.cursorAt(0);
+  const iterator = list[Symbol.iterator]();
+
+  list.append(4);
+
+  assert.throws(() => cursor.value(), /Concurrent modification during cursor traversal/);
+  assert.throws(() => iterator.next(), /Concurrent modification during iteration/);
+  assert.equal(cursor.reset(true).value(), 4);
+});
+
+test("sort is a stable in-place merge sort that keeps nodes and cursors", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const values = Array.from({ length: 37 }, (_, index) => ({ key: (index * 7) % 5, index }));
+  const list = UltimateLinkedList.from(values);
+  const cursor = list.cursorAt(10);
+  const tracked = cursor.value();
+
+  assert.equal(list.sort((a, b) => a.key - b.key), list);
+  assert.deepEqual(list.toArray(), values.slice().sort((a, b) => a.key - b.key));
+  assert.equal(cursor.value(), tracked);
+  assert.equal(cursor.index(), list.indexOf(tracked));
+  assert.equal(list.length, 37);
+  assert.equal(list.last(), list.get(-1));
+  assert.equal(list.cursorAt(-1).prev().next().value(), list.last());
+});
+
+test("sort matches Array ordering defaults and accepts comparator arrays and sort keys", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const mixed = [10, undefined, 9, "b", 1, undefined, "a"];
+  assert.deepEqual(UltimateLinkedList.from(mixed).sort().toArray(), mixed.slice().sort());
+
+  const people = [
+    { name: "cy", age: 30 },
+    { name: "al", age: 25 },
+    { name: "bo", age: 30 },
+    { name: "al", age: 20 },
+  ];
+  const byAgeDescThenName = [
+    (a, b) => b.age - a.age,
+    (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0),
+  ];
+  const expected = ["bo", "cy", "al", "al"];
+
+  assert.deepEqual(
+    UltimateLinkedList.from(people).sort(byAgeDescThenName).map((p) => p.name).toArray(),
+    expected
+  );
+  assert.deepEqual(
+    UltimateLinkedList.from(people)
+      .sortBy({ key: (p) => p.age, order: "desc" }, (p) => p.name)
+      .map((p) => p.age)
+      .toArray(),
+    [30, 30, 25, 20]
+  );
+  assert.throws(() => UltimateLinkedList.of(1).sort("nope"), /Comparator must be a function/);
+  assert.throws(() => UltimateLinkedList.of(1).sortBy(), /at least one key/);
+});
+
+test("a throwing sort comparator leaves every node linked", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.from([5, 3, 8, 1, 9, 2, 7]);
+  let calls = 0;
+
+  assert.throws(
+    () =>
+      list.sort((a, b) => {
+        if (++calls === 6) throw new Error("boom");
+        return a - b;
+      }),
+    /boom/
+  );
+  assert.equal(list.length, 7);
+  assert.deepEqual(list.toArray().sort((a, b) => a - b), [1, 2, 3, 5, 7, 8, 9]);
+  assert.deepEqual([...list.cursor().setDirection(-1)], list.toArray().reverse());
+});
+
+test("nested transactions roll back on their own and fold events into the parent", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+
+  const outer = list.beginTransaction().begin();
+  list.append(2);
+
+  const failed = list.beginTransaction().begin();
+  assert.notEqual(failed, outer);
+  list.append(3);
+  failed.rollback();
+  assert.deepEqual(list.toArray(), [1, 2]);
+
+  const kept = list.beginTransaction().begin();
+  list.prepend(0);
+  assert.throws(() => outer.commit(), /nested transaction is still active/);
+  kept.commit();
+  assert.deepEqual(events, []);
+
+  outer.commit();
+  assert.deepEqual(list.toArray(), [0, 1, 2]);
+  assert.deepEqual(events, [
+    {
+      type: "transaction",
+      action: "commit",
+      events: [
+        { type: "add", index: 1, value: 2 },
+        { type: "add", index: 0, value: 0 },
+      ],
+    },
+  ]);
+});
+
+test("rolling back an outer transaction also ends active nested transactions", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("a");
+  const outer = list.beginTransaction().begin();
+  list.append("b");
+  const inner = list.beginTransaction().begin();
+  list.append("c");
+
+  outer.rollback();
+
+  assert.deepEqual(list.toArray(), ["a"]);
+  assert.throws(() => inner.savepoint("closed"), /Transaction is not active/);
+  assert.throws(() => inner.begin(), /Parent transaction is no longer active/);
+  assert.notEqual(list.beginTransaction(), inner);
+});
+
+test("savepoints roll back to a named point, then release", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+  const transaction = list.beginTransaction().begin();
+
+  list.append(2);
+  transaction.savepoint("two");
+  list.append(3);
+  transaction.savepoint("three");
+  list.append(4);
+
+  transaction.rollbackTo("two");
+  assert.deepEqual(list.toArray(), [1, 2]);
+  assert.throws(() => transaction.rollbackTo("three"), /No savepoint named three/);
+
+  list.append(5);
+  transaction.rollbackTo("two");
+  assert.deepEqual(list.toArray(), [1, 2]);
+
+  transaction.release("two");
+  assert.throws(() => transaction.rollbackTo("two"), /No savepoint named two/);
+
+  list.append(6);
+  const nested = list.beginTransaction().begin();
+  assert.throws(() => transaction.savepoint("busy"), /nested transaction is still active/);
+  nested.commit();
+  transaction.commit();
+
+  assert.throws(() => transaction.savepoint("late"), /Transaction is not active/);
+  assert.deepEqual(events, [
+    {
+      type: "transaction",
+      action: "commit",
+      events: [
+        { type: "add", index: 1, value: 2 },
+        { type: "add", index: 2, value: 6 },
+      ],
+    },
+  ]);
+});
+
+test("rollback relinks original nodes so cursors on them recover", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("a", "b", "c", "d");
+  const onB = list.cursorAt(1);
+  const onD = list.cursorAt(3);
+
+  const transaction = list.beginTransaction().begin();
+  list.removeAt(1);
+  list.prepend("z");
+  list.reverse();
+  list.clear();
+  list.append("new");
+  assert.throws(() => onB.value(), /Concurrent modification during cursor traversal/);
+  transaction.rollback();
+
+  assert.deepEqual(list.toArray(), ["a", "b", "c", "d"]);
+  assert.equal(onB.value(), "b");
+  assert.equal(onB.index(), 1);
+  assert.equal(onD.index(), 3);
+  assert.equal(onB.next().value(), "c");
+  assert.deepEqual([...list.cursor().setDirection(-1)], ["d", "c", "b", "a"]);
+});
+
+test("rollback undoes every journaled mutation in reverse order", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  let seed = 7;
+  const random = (limit) => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return seed % limit;
+  };
+  const operations = [
+    (list) => list.append(random(100)),
+    (list) => list.prepend(random(100)),
+    (list) => list.insertAt(random(100), random(list.length + 1)),
+    (list) => list.removeAt(random(list.length + 1)),
+    (list) => list.set(random(list.length + 1), random(100)),
+    (list) => list.pop(),
+    (list) => list.shift(),
+    (list) => list.push(random(100), random(100)),
+    (list) => list.unshift(random(100), random(100)),
+    (list) => list.remove(random(100)),
+    (list) => list.reverse(),
+    (list) => list.sort((a, b) => a - b),
+    (list) => random(10) === 0 && list.clear(),
+    (list) => {
+      const cursor = list.cursorAt(random(list.length + 1));
+      if (cursor.valid()) cursor.insertAfter(random(100)).replace(random(100));
+    },
+  ];
+
+  const list = UltimateLinkedList.from(Array.from({ length: 20 }, (_, index) => index));
+  for (let round = 0; round < 20; round++) {
+    const before = list.toArray();
+    const transaction = list.beginTransaction().begin();
+    for (let step = 0; step < 30; step++) operations[random(operations.length)](list);
+    transaction.rollback();
+    assert.deepEqual(list.toArray(), before);
+    assert.deepEqual([...list.cursor().setDirection(-1)], before.slice().reverse());
+    for (let step = 0; step < 5; step++) operations[random(operations.length)](list);
+  }
+});
+
+test("rollback on a 1M-element list relinks the original nodes", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const size = 1_000_000;
+  const list = UltimateLinkedList.from(Array.from({ length: size - 1 }, (_, index) => index));
+  const last = list.appendHandle(size - 1);
+  const second = list.cursorAt(1);
+
+  for (let round = 0; round < 100; round++) {
+    const transaction = list.beginTransaction().begin();
+    list.set(1, -1);
+    list.pop();
+    list.prepend(-2);
+    assert.equal(last.valid(), false);
+    transaction.rollback();
+    assert.equal(last.valid(), true);
+  }
+  assert.equal(last.value, size - 1);
+  assert.deepEqual([second.index(), second.value()], [1, 1]);
+
+  let walked = 0;
+  for (const value of list) walked += value === walked ? 1 : 0;
+  assert.equal(walked, size);
+});
+
+test("transaction groups move items between lists atomically", async () => {
+  const {
+    module: { UltimateLinkedList, TransactionGroup },
+  } = await importQuietly();
+
+  const pending = new UltimateLinkedList(["a", "b", "c"], { observable: true });
+  const inFlight = new UltimateLinkedList([], { observable: true });
+  const done = UltimateLinkedList.of("z");
+  const events = [];
+  pending.addChangeListener((event) => events.push(["pending", event]));
+  inFlight.addChangeListener((event) => events.push(["inFlight", event]));
+
+  assert.throws(
+    () =>
+      UltimateLinkedList.transaction([pending, inFlight, done], () => {
+        inFlight.push(pending.shift(), pending.shift());
+        done.concat(inFlight);
+        throw new Error("worker crashed");
+      }),
+    /worker crashed/
+  );
+  assert.deepEqual(pending.toArray(), ["a", "b", "c"]);
+  assert.deepEqual(inFlight.toArray(), []);
+  assert.deepEqual(done.toArray(), ["z"]);
+  assert.deepEqual(
+    events.map(([name, event]) => [name, event.type, event.action, event.events.length]),
+    [
+      ["pending", "transaction", "rollback", 2],
+      ["inFlight", "transaction", "rollback", 3],
+    ]
+  );
+
+  events.length = 0;
+  const result = UltimateLinkedList.transaction([pending, inFlight], (group) => {
+    inFlight.append(pending.shift());
+    return group;
+  });
+  assert.deepEqual(pending.toArray(), ["b", "c"]);
+  assert.deepEqual(inFlight.toArray(), ["a"]);
+  assert.ok(result instanceof TransactionGroup);
+  assert.deepEqual(
+    events.map(([name, event]) => [name, event.action, event.group]),
+    [
+      ["pending", "commit", { id: result.id, size: 2 }],
+      ["inFlight", "commit", { id: result.id, size: 2 }],
+    ]
+  );
+  assert.notEqual(new TransactionGroup([]).id, result.id);
+});
+
+test("transaction group rollback undoes cross-list moves newest first", async () => {
+  const {
+    module: { UltimateLinkedList, TransactionGroup },
+  } = await importQuietly();
+
+  const left = UltimateLinkedList.of(1, 2, 3);
+  const right = UltimateLinkedList.of(4);
+  const group = new TransactionGroup([left, right]).begin();
+
+  right.concat(left);
+  right.removeAt(1);
+  const tail = right.splitAt(2);
+  left.concat(tail);
+  left.append(9);
+  group.rollback();
+
+  assert.deepEqual(left.toArray(), [1, 2, 3]);
+  assert.deepEqual(right.toArray(), [4]);
+  assert.equal(left.cursorAt(2).value(), 3);
+  assert.equal(right.cursorAt(0).value(), 4);
+});
+
+test("transaction groups reject duplicates and commit nothing while a member is nested", async () => {
+  const {
+    module: { UltimateLinkedList, TransactionGroup },
+  } = await importQuietly();
+
+  const first = UltimateLinkedList.of(1);
+  const second = UltimateLinkedList.of(2);
+
+  assert.throws(() => new TransactionGroup([first, first]), /only join a transaction group once/);
+  assert.throws(() => new TransactionGroup([first, [2]]), /only accept UltimateLinkedList/);
+
+  const group = new TransactionGroup([first, second]).begin();
+  first.append(3);
+  const nested = second.beginTransaction().begin();
+  second.append(4);
+
+  assert.throws(() => group.commit(), /nested transaction is still active/);
+  assert.doesNotThrow(() => group.transactions[0].savepoint("still-open"));
+
+  nested.commit();
+  group.commit();
+  assert.deepEqual(first.toArray(), [1, 3]);
+  assert.deepEqual(second.toArray(), [2, 4]);
+});
+
+test("transaction(fn) commits on return and rolls back and rethrows on throw", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+
+  assert.equal(
+    list.transaction(() => {
+      list.append(3);
+      return "done";
+    }),
+    "done"
+  );
+  assert.throws(
+    () =>
+      list.transaction(() => {
+        list.clear();
+        throw new Error("boom");
+      }),
+    /boom/
+  );
+
+  assert.deepEqual(list.toArray(), [1, 2, 3]);
+  assert.deepEqual(
+    events.map((event) => event.action),
+    ["commit", "rollback"]
+  );
+  assert.throws(() => list.transaction(() => {}, { whenBusy: "wait" }), /Unknown whenBusy/);
+});
+
+test("async transactions settle with their promise and reject or queue other writers", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1);
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+
+  const first = list.transaction(async () => {
+    list.append(2);
+    await gate;
+    list.append(3);
+    return "first";
+  });
+  assert.throws(() => list.transaction(() => list.append(99)), /already pending/);
+
+  const order = [];
+  const queued = list.transaction(
+    () => {
+      order.push([...list]);
+      list.append(4);
+    },
+    { whenBusy: "queue" }
+  );
+  const failing = list.transaction(
+    async () => {
+      list.clear();
+      throw new Error("async boom");
+    },
+    { whenBusy: "queue" }
+  );
+
+  release();
+  assert.equal(await first, "first");
+  await queued;
+  await assert.rejects(failing, /async boom/);
+
+  assert.deepEqual(order, [[1, 2, 3]]);
+  assert.deepEqual(list.toArray(), [1, 2, 3, 4]);
+  assert.equal(list.transaction(() => list.length), 4);
+});
+
+test("other writers throw while an async transaction is pending", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1, 2);
+  const handle = list.appendHandle(3);
+  const cursor = list.cursorAt(0);
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const pending = list.transaction(async () => {
+    list.append(4);
+    await gate;
+    list.append(5);
+    throw new Error("undo all");
+  });
+
+  for (const write of [
+    () => list.append(99),
+    () => list.clear(),
+    () => list.moveToFront(handle),
+    () => list.beginTransaction(),
+    () => cursor.remove(),
+    () => cursor.replace(0),
+    () => (handle.value = 0),
+    () => UltimateLinkedList.of(0).concat(list),
+  ]) {
+    assert.throws(write, /async transaction is pending/);
+  }
+  assert.deepEqual(list.toArray(), [1, 2, 3, 4]);
+  assert.deepEqual([...list], [1, 2, 3, 4]);
+
+  release();
+  await assert.rejects(pending, /undo all/);
+  list.append(6);
+  assert.deepEqual(list.toArray(), [1, 2, 3, 6]);
+  assert.equal(UltimateLinkedList.prototype.append.name, "append");
+  assert.equal(UltimateLinkedList.prototype.insertAt.length, 1);
+});
+
+test("callbacks left over from a finished async transaction count as other writers", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1);
+  let stray;
+  const strayRan = new Promise((resolve) => (stray = resolve));
+  await list.transaction(async () => {
+    setTimeout(() => {
+      try {
+        list.append("stray");
+        stray(null);
+      } catch (error) {
+        stray(error);
+      }
+    }, 10);
+  });
+
+  const second = list.transaction(async () => {
+    list.append(2);
+    const error = await strayRan;
+    assert.match(error.message, /async transaction is pending/);
+    throw new Error("undo");
+  });
+  await assert.rejects(second, /undo/);
+  assert.deepEqual(list.toArray(), [1]);
+
+  let late;
+  const lateRan = new Promise((resolve) => (late = resolve));
+  await list.transaction(async () => {
+    setTimeout(() => late(list.append("late")), 0);
+  });
+  await lateRan;
+  assert.deepEqual(list.toArray(), [1, "late"]);
+});
+
+test("transaction calls from inside an async callback nest instead of waiting", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  for (const whenBusy of ["reject", "queue"]) {
+    const list = UltimateLinkedList.of(1);
+    const result = await list.transaction(async () => {
+      list.transaction(() => list.append(2), { whenBusy });
+      await Promise.resolve();
+      assert.throws(
+        () =>
+          list.transaction(
+            () => {
+              list.append("lost");
+              throw new Error("inner");
+            },
+            { whenBusy }
+          ),
+        /inner/
+      );
+      await list.transaction(
+        async () => {
+          await Promise.resolve();
+          list.append(3);
+        },
+        { whenBusy }
+      );
+      list.applyPatch([{ type: "add", index: 3, value: 4 }]);
+      return list.toArray();
+    });
+    assert.deepEqual(result, [1, 2, 3, 4]);
+    assert.deepEqual(list.toArray(), [1, 2, 3, 4]);
+    assert.deepEqual(list.append(5).toArray(), [1, 2, 3, 4, 5]);
+  }
+});
+
+test("the static transaction helper awaits async callbacks before committing", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const left = UltimateLinkedList.of(1);
+  const right = UltimateLinkedList.of(2);
+
+  await assert.rejects(
+    UltimateLinkedList.transaction([left, right], async () => {
+      left.append(3);
+      await null;
+      right.clear();
+      throw new Error("nope");
+    }),
+    /nope/
+  );
+  assert.deepEqual([left.toArray(), right.toArray()], [[1], [2]]);
+
+  await UltimateLinkedList.transaction([left, right], async () => {
+    await null;
+    right.concat(left);
+  });
+  assert.deepEqual([left.toArray(), right.toArray()], [[], [2, 1]]);
+});
+
+test("persistent immutable lists derive versions without touching the original", async () => {
+  const {
+    module: { UltimateLinkedList, ImmutableLinkedList },
+  } = await importQuietly();
+
+  const base = UltimateLinkedList.of(1, 2, 3, 4).immutable();
+  const pushed = base.push(5, 6);
+  const edited = base.set(-1, 40).prepend(0).removeAt(1);
+  const joined = base.concat(pushed.slice(-2)).concat([7]);
+
+  assert.deepEqual(base.toArray(), [1, 2, 3, 4]);
+  assert.deepEqual(pushed.toArray(), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(edited.toArray(), [0, 2, 3, 40]);
+  assert.deepEqual(joined.toArray(), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(base.slice(1, -1).toArray(), [2, 3]);
+  assert.equal(base.set(9, "x"), base);
+  assert.equal(base.removeAt(1.5), base);
+  assert.equal(base.slice(), base);
+  assert.equal(base.slice(3, 1).length, 0);
+  assert.equal(pushed.at(-1), 6);
+  assert.equal(new ImmutableLinkedList().first(), undefined);
+  assert.ok(Object.isFrozen(base));
+
+  const mutable = joined.toMutable();
+  mutable.append(8);
+  assert.deepEqual(mutable.toArray(), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(joined.length, 7);
+});
+
+test("persistent immutable lists keep old versions and stay shallow as they grow", async () => {
+  const {
+    module: { ImmutableLinkedList },
+  } = await importQuietly();
+
+  const big = new ImmutableLinkedList(Array.from({ length: 1000 }, (_, index) => index));
+  const edited = big.set(999, "last");
+  assert.equal(edited.at(999), "last");
+  assert.equal(big.at(999), 999);
+  assert.deepEqual(edited.slice(0, 999).toArray(), big.slice(0, 999).toArray());
+
+  let seed = 7;
+  const random = (limit) => (seed = (seed * 48271) % 2147483647) % limit;
+  let list = new ImmutableLinkedList();
+  let expected = [];
+  for (let step = 0; step < 600; step++) {
+    const index = random(expected.length + 1);
+    switch (random(5)) {
+      case 0:
+        list = list.push(step);
+        expected = [...expected, step];
+        break;
+      case 1:
+        list = list.prepend(step);
+        expected = [step, ...expected];
+        break;
+      case 2:
+        list = list.removeAt(index);
+        expected = expected.filter((_, i) => i !== index);
+        break;
+      case 3:
+        list = list.set(index, -step);
+        if (index < expected.length) expected = expected.with(index, -step);
+        break;
+      default:
+        list = list.slice(0, index).concat(list.slice(index).push(step));
+        expected = [...expected.slice(0, index), ...expected.slice(index), step];
+    }
+  }
+  assert.deepEqual(list.toArray(), expected);
+
+  let long = new ImmutableLinkedList();
+  for (let step = 0; step < 50_000; step++) long = step % 2 ? long.push(step) : long.prepend(step);
+  assert.equal(long.set(long.length - 1, "end").at(-1), "end");
+  assert.equal(long.removeAt(25_000).length, 49_999);
+  assert.equal(long.at(-1), 49_999);
+});
+
+test("immutable lists offer the non-mutating list API", async () => {
+  const {
+    module: { UltimateLinkedList, ImmutableLinkedList },
+  } = await importQuietly();
+
+  const list = new ImmutableLinkedList([1, 2, 3, 2]);
+  const doubled = list.map((value, index) => value * 2 + index);
+  const evens = list.filter((value) => value % 2 === 0);
+
+  assert.ok(doubled instanceof ImmutableLinkedList);
+  assert.ok(evens instanceof ImmutableLinkedList);
+  assert.deepEqual(doubled.toArray(), [2, 5, 8, 7]);
+  assert.deepEqual(evens.toArray(), [2, 2]);
+  assert.equal(list.filter(() => true), list);
+  assert.equal(list.reduce((sum, value) => sum + value), 8);
+  assert.throws(() => new ImmutableLinkedList().reduce((a, b) => a + b), /Reduce of empty list/);
+  assert.equal(list.find((value) => value > 1), 2);
+  assert.equal(list.findIndex((value) => value > 2), 2);
+  assert.equal(list.some((value) => value > 2), true);
+  assert.equal(list.every((value) => value > 1), false);
+  assert.equal(list.indexOf(2), 1);
+  assert.equal(list.lastIndexOf(2), 3);
+  assert.equal(list.lastIndexOf(9), -1);
+  assert.equal(list.includes(3), true);
+  assert.equal(list.join("-"), "1-2-3-2");
+  assert.deepEqual([...list.keys()], [0, 1, 2, 3]);
+  assert.deepEqual([...list.entries()][3], [3, 2]);
+  assert.equal(JSON.stringify({ list }), '{"list":[1,2,3,2]}');
+
+  assert.equal(list.equals(list.slice()), true);
+  assert.equal(list.equals(list.set(0, 1)), true);
+  assert.equal(list.equals(UltimateLinkedList.of(1, 2, 3, 2)), true);
+  assert.equal(list.equals([1, 2, 3]), false);
+  assert.equal(list.equals([1, 2, 3, 2, 1]), false);
+  assert.equal(list.equals(null), false);
+  assert.equal(
+    list.equals(["1", "2", "3", "2"], (a, b) => String(a) === b),
+    true
+  );
+});
+
+test("views read the live list and reject every mutator", async () => {
+  const {
+    module: { UltimateLinkedList, ListView },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], { observable: true });
+  const view = list.view();
+  const events = [];
+  const unsubscribe = view.addChangeListener((event) => events.push(event.type));
+
+  list.append(4);
+  assert.ok(view instanceof ListView);
+  assert.equal(view.length, 4);
+  assert.deepEqual([...view], [1, 2, 3, 4]);
+  assert.equal(view.at(-1), 4);
+  assert.equal(view.indexOf(3), 2);
+  assert.deepEqual(view.map((value) => value * 2).toArray(), [2, 4, 6, 8]);
+  assert.equal(view.find((value, index, source) => source === view && index === 1), 2);
+  assert.deepEqual(view.immutable().toArray(), [1, 2, 3, 4]);
+  assert.ok(!Object.values(view).includes(list));
+
+  for (const name of ["append", "push", "removeAt", "clear", "sort", "concat", "transaction"]) {
+    assert.throws(() => view[name](0), /read-only list view/);
+  }
+  assert.deepEqual(list.toArray(), [1, 2, 3, 4]);
+
+  unsubscribe();
+  list.pop();
+  assert.deepEqual(events, ["add"]);
+});
+
+test("view windows follow inserts, removals, and reversal", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("a", "b", "c", "d", "e");
+  const window = list.view().slice(1, -1);
+  assert.deepEqual(window.toArray(), ["b", "c", "d"]);
+
+  list.prepend("start");
+  list.insertAt("inside", 3);
+  list.insertAt("edge", 6);
+  assert.deepEqual(window.toArray(), ["b", "inside", "c", "d"]);
+
+  list.removeAt(2);
+  list.shift();
+  assert.deepEqual(window.toArray(), ["inside", "c", "d"]);
+  assert.equal(window.get(-1), "d");
+  assert.deepEqual(window.slice(1).toArray(), ["c", "d"]);
+
+  list.reverse();
+  assert.deepEqual(window.toArray(), ["d", "c", "inside"]);
+
+  const transaction = list.beginTransaction().begin();
+  list.clear();
+  assert.equal(window.length, 0);
+  transaction.rollback();
+  assert.deepEqual(list.toArray(), ["e", "edge", "d", "c", "inside", "a"]);
+  assert.deepEqual(window.toArray(), []);
+  assert.equal(window.length, 0);
+  assert.deepEqual(list.view().slice(2, 2).toArray(), []);
+
+  const emptied = UltimateLinkedList.of(1, 2, 3);
+  const single = emptied.view().slice(1, 2);
+  emptied.removeAt(1);
+  emptied.insertAt(9, 1);
+  assert.equal(single.length, 0);
+  assert.equal(single.isEmpty(), true);
+  emptied.insertAt(8, 0);
+  assert.equal(single.length, 0);
+  assert.equal(single.get(0), undefined);
+});
+
+test("node handles remove, move, and update their elements", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of("b", "c");
+  const a = list.prependHandle("a");
+  const d = list.appendHandle("d");
+  const middle = list.insertHandle("mid", -2);
+  const after = list.insertAfterHandle(a, "a2");
+  assert.deepEqual(list.toArray(), ["a", "a2", "b", "c", "mid", "d"]);
+  assert.equal(middle.value, "mid");
+  assert.equal(list.insertHandle("end").value, "end");
+
+  list.moveToFront(d);
+  list.moveToBack(after);
+  list.moveToBack(after);
+  middle.value = "MID";
+  assert.deepEqual(list.toArray(), ["d", "a", "b", "c", "MID", "end", "a2"]);
+
+  assert.equal(list.removeHandle(a), "a");
+  assert.equal(a.valid(), false);
+  assert.throws(() => a.value, /Stale handle/);
+  assert.throws(() => list.removeHandle(a), /Stale handle/);
+  assert.throws(() => UltimateLinkedList.of(1).moveToFront(d), /does not belong to this list/);
+  assert.deepEqual(list.toArray(), ["d", "b", "c", "MID", "end", "a2"]);
+});
+
+test("handles go stale when concat or splitAt moves their elements away", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.of(1, 2);
+  const first = list.prependHandle(0);
+  const last = list.appendHandle(3);
+  const tail = list.splitAt(2);
+
+  assert.equal(first.valid(), true);
+  assert.equal(last.valid(), false);
+  assert.throws(() => tail.removeHandle(last), /does not belong/);
+
+  const receiver = UltimateLinkedList.of(-1);
+  const transaction = receiver.beginTransaction().begin();
+  const donorTransaction = list.beginTransaction().begin();
+  receiver.concat(list);
+  assert.equal(first.valid(), false);
+  transaction.rollback();
+  donorTransaction.rollback();
+  assert.equal(first.valid(), true);
+  list.moveToBack(first);
+  assert.deepEqual(list.toArray(), [1, 0]);
+});
+
+test("handle moves keep cursors, windows, and rollback consistent", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([], { observable: true });
+  const handles = ["a", "b", "c", "d", "e"].map((value) => list.appendHandle(value));
+  const onC = list.cursorAt(2);
+  const onE = list.cursorAt(4);
+  const window = list.view().slice(1, 4);
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+
+  const transaction = list.beginTransaction().begin();
+  list.moveToFront(handles[4]);
+  list.moveToBack(handles[1]);
+  list.removeHandle(handles[3]);
+  handles[0].value = "A";
+  assert.deepEqual(list.toArray(), ["e", "A", "c", "b"]);
+  assert.equal(onC.index(), 2);
+  assert.equal(onE.index(), 0);
+  assert.deepEqual(window.toArray(), ["c"]);
+
+  transaction.rollback();
+  assert.deepEqual(list.toArray(), ["a", "b", "c", "d", "e"]);
+  assert.equal(onC.index(), 2);
+  assert.equal(onC.value(), "c");
+  assert.equal(onE.index(), 4);
+  assert.equal(handles[3].valid(), true);
+  assert.deepEqual(events[0], { type: "transaction", action: "rollback", events: events[0].events });
+  assert.deepEqual(events[0].events.slice(0, 2), [
+    { type: "remove", index: 4, value: "e" },
+    { type: "add", index: 0, value: "e" },
+  ]);
+});
+
+test("handle operations give listeners and windows the right indices", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList(["a", "b", "c", "d"], { observable: true });
+
+  const handle = list.appendHandle("e");
+  const cursor = list.cursorAt(3);
+  const behind = list.cursorAt(1).setDirection(-1);
+  list.moveToFront(handle);
+  list.insertAfterHandle(handle, "f");
+  list.removeHandle(list.prependHandle("z"));
+  behind.remove();
+  behind.insertAfter("y");
+  handle.value = "E";
+  assert.deepEqual(list.toArray(), ["E", "f", "a", "y", "c", "d"]);
+  assert.equal(cursor.index(), 5);
+  assert.equal(cursor.value(), "d");
+  assert.equal(behind.index(), 2);
+  assert.equal(cursor.index(), 5);
+
+  const events = [];
+  const unsubscribe = list.on("*", (event) => events.push(event));
+  list.moveToBack(handle);
+  assert.deepEqual(events.at(-1), { type: "add", index: 5, value: "E" });
+  list.moveToFront(handle);
+  assert.deepEqual(events.at(-1), { type: "add", index: 0, value: "E" });
+  unsubscribe();
+  list.moveToBack(handle);
+  list.moveToFront(handle);
+  assert.equal(events.length, 4);
+
+  const window = list.view().slice(1, 3);
+  list.moveToBack(handle);
+  assert.deepEqual(window.toArray(), ["f", "a"]);
+});
+
+test("bounded lists apply their overflow policy to every insert", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const strict = UltimateLinkedList.from([1, 2]);
+  const capped = new UltimateLinkedList([1, 2], { capacity: 2 });
+  assert.equal(capped.capacity, 2);
+  assert.equal(strict.capacity, Infinity);
+  for (const insert of [
+    (list) => list.append(3),
+    (list) => list.prepend(0),
+    (list) => list.push(3),
+    (list) => list.unshift(0),
+    (list) => list.insertAt(9, 1),
+    (list) => list.concat(UltimateLinkedList.of(3)),
+    (list) => list.concat([3]),
+  ]) {
+    assert.throws(() => insert(capped), /List capacity 2 exceeded/);
+  }
+  assert.deepEqual(capped.toArray(), [1, 2]);
+  assert.throws(() => new UltimateLinkedList([1, 2, 3], { capacity: 2 }), /capacity 2/);
+  assert.throws(() => new UltimateLinkedList([], { capacity: -1 }), /non-negative/);
+  assert.throws(() => new UltimateLinkedList([], { overflow: "wrap" }), /Unknown overflow/);
+
+  const evicted = [];
+  const rejecting = new UltimateLinkedList([1, 2], {
+    capacity: 3,
+    overflow: "reject",
+    onEvict: (value) => evicted.push(value),
+  });
+  assert.equal(rejecting.push(3, 4), 2);
+  rejecting.append(3).append(4);
+  const donor = UltimateLinkedList.of(5);
+  rejecting.concat(donor);
+  assert.equal(rejecting.appendHandle(6), null);
+  assert.equal(rejecting.prependHandle(7), null);
+  assert.equal(rejecting.insertHandle(8, 1), null);
+  rejecting.pop();
+  const last = rejecting.appendHandle(3);
+  assert.equal(last.valid(), true);
+  assert.equal(rejecting.insertAfterHandle(last, 9), null);
+  assert.equal(rejecting.insertBeforeHandle(last, 10), null);
+  assert.deepEqual(rejecting.toArray(), [1, 2, 3]);
+  assert.deepEqual(donor.toArray(), [5]);
+  assert.deepEqual(evicted, [3, 4, 4, 6, 7, 8, 9, 10]);
+});
+
+test("drop policies evict from either end and report evictions", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const evicted = [];
+  const log = new UltimateLinkedList([1, 2, 3], {
+    capacity: 3,
+    overflow: "drop-oldest",
+    observable: true,
+    onEvict: (value) => evicted.push(value),
+  });
+  const events = [];
+  log.addChangeListener((event) => events.push(event));
+
+  log.append(4);
+  log.push(5, 6);
+  log.concat(UltimateLinkedList.of(7, 8));
+  assert.deepEqual(log.toArray(), [6, 7, 8]);
+  assert.deepEqual(evicted, [1, 2, 3, 4, 5]);
+  assert.deepEqual(events.slice(0, 2), [
+    { type: "add", index: 3, value: 4 },
+    { type: "evict", index: 0, value: 1 },
+  ]);
+
+  const transaction = log.beginTransaction().begin();
+  log.unshift(0);
+  assert.deepEqual(log.toArray(), [6, 7, 8]);
+  transaction.rollback();
+  assert.deepEqual(log.toArray(), [6, 7, 8]);
+
+  const newest = new UltimateLinkedList([1, 2, 3], {
+    capacity: 3,
+    overflow: "drop-newest",
+    onEvict: (value) => evicted.push(value),
+  });
+  newest.prepend(0);
+  newest.insertAt(9, 1);
+  newest.unshift(-2, -1);
+  newest.append(4);
+  assert.deepEqual(newest.toArray(), [-2, -1, 0]);
+  assert.deepEqual(evicted.slice(6), [3, 2, 1, 9, 4]);
+  assert.equal(newest.appendHandle(5), null);
+  const front = newest.prependHandle(-3);
+  assert.equal(front.value, -3);
+  assert.deepEqual(newest.toArray(), [-3, -2, -1]);
+  assert.deepEqual(evicted.slice(11), [5, 0]);
+});
+
+test("splice matches Array#splice results and coercion", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const cases = [
+    [],
+    [1],
+    [-2],
+    [1, 2],
+    [1, 2, "x", "y", "z"],
+    [-10, 1, "x"],
+    [2.9, "1.5"],
+    [Infinity, 3, "end"],
+    [-Infinity, -Infinity, "start"],
+    [NaN, undefined, "nan"],
+    ["3", null],
+    [{ valueOf: () => 1 }, "2"],
+    [undefined],
+    [0, 10],
+    [5],
+  ];
+  for (const args of cases) {
+    const array = [0, 1, 2, 3, 4];
+    const list = UltimateLinkedList.from(array);
+    const removed = list.splice(...args);
+
+    assert.ok(removed instanceof UltimateLinkedList);
+    assert.deepEqual(removed.toArray(), array.splice(...args), `splice(${args.join(", ")})`);
+    assert.deepEqual(list.toArray(), array, `splice(${args.join(", ")})`);
+    assert.equal(list.length, array.length);
+  }
+  assert.throws(() => UltimateLinkedList.of(1).splice(0n), TypeError);
+});
+
+test("splice emits one event, keeps cursors in step, and rolls back", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList(["a", "b", "c", "d"], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+  const onD = list.cursorAt(3);
+
+  list.splice(1, 2, "x", "y", "z");
+  list.splice(0, 0);
+  assert.deepEqual(list.toArray(), ["a", "x", "y", "z", "d"]);
+  assert.deepEqual(events, [{ type: "splice", index: 1, removed: ["b", "c"], added: ["x", "y", "z"] }]);
+  assert.equal(onD.index(), 4);
+  assert.equal(onD.value(), "d");
+
+  const transaction = list.beginTransaction().begin();
+  list.splice(-2, 1);
+  list.splice(0, 2, "q");
+  transaction.rollback();
+  assert.deepEqual(list.toArray(), ["a", "x", "y", "z", "d"]);
+  assert.equal(onD.index(), 4);
+  assert.deepEqual(events[1].events.map((event) => event.type), ["splice", "splice"]);
+
+  const bounded = new UltimateLinkedList([1, 2], { capacity: 3, overflow: "reject" });
+  assert.equal(bounded.splice(0, 1, 7, 8, 9).length, 0);
+  assert.deepEqual(bounded.splice(0, 1, 7, 8).toArray(), [1]);
+  assert.deepEqual(bounded.toArray(), [7, 8, 2]);
+  assert.throws(() => list.view().splice(0, 1), /read-only list view/);
+});
+
+test("extractRange and insertListAt move nodes between positions", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([0, 1, 2, 3, 4, 5], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+  const onFive = list.cursorAt(5);
+  const onTwo = list.cursorAt(2);
+
+  const middle = list.extractRange(1, -2);
+  assert.deepEqual(middle.toArray(), [1, 2, 3]);
+  assert.equal(middle.length, 3);
+  assert.deepEqual(list.toArray(), [0, 4, 5]);
+  assert.equal(onFive.index(), 2);
+  assert.throws(() => onTwo.value(), /Concurrent modification/);
+  assert.equal(list.extractRange(1, 1).length, 0);
+
+  const donor = new UltimateLinkedList(["a", "b"], { observable: true });
+  const donorEvents = [];
+  donor.addChangeListener((event) => donorEvents.push(event));
+  list.insertListAt(-2, donor);
+  assert.deepEqual(list.toArray(), [0, 4, "a", "b", 5]);
+  assert.equal(donor.length, 0);
+  assert.equal(onFive.index(), 4);
+  list.insertListAt(0, middle);
+  assert.deepEqual(list.toArray(), [1, 2, 3, 0, 4, "a", "b", 5]);
+
+  assert.deepEqual(events, [
+    { type: "split", index: 1, size: 3 },
+    { type: "concat", index: 2, size: 2, values: ["a", "b"] },
+    { type: "concat", index: 0, size: 3, values: [1, 2, 3] },
+  ]);
+  assert.deepEqual(donorEvents, [{ type: "clear", size: 2 }]);
+
+  assert.throws(() => list.extractRange(3, 2), RangeError);
+  assert.throws(() => list.extractRange(0, 9), RangeError);
+  assert.throws(() => list.extractRange(0.5), /integer indices/);
+  assert.throws(() => list.insertListAt(9, donor), RangeError);
+  assert.throws(() => list.insertListAt(0, list), TypeError);
+  assert.throws(() => list.insertListAt(0, [1]), TypeError);
+  assert.throws(() => list.view().extractRange(0), /read-only list view/);
+});
+
+test("extractRange and insertListAt roll back by relinking in place", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.from([0, 1, 2, 3, 4]);
+  const donor = UltimateLinkedList.from(["a", "b"]);
+  const onThree = list.cursorAt(3);
+  const transaction = list.beginTransaction().begin();
+  const extracted = list.extractRange(1, 3);
+  list.insertListAt(1, donor);
+  list.append(5);
+  assert.deepEqual(list.toArray(), [0, "a", "b", 3, 4, 5]);
+  transaction.rollback();
+
+  assert.deepEqual(list.toArray(), [0, 1, 2, 3, 4]);
+  assert.deepEqual(donor.toArray(), ["a", "b"]);
+  assert.equal(extracted.length, 0);
+  assert.equal(onThree.index(), 3);
+  assert.equal(onThree.value(), 3);
+
+  const guarded = list.beginTransaction().begin();
+  const moved = list.extractRange(3);
+  moved.append(9);
+  assert.throws(() => guarded.rollback(), /split-off list has changed/);
+  moved.pop();
+  guarded.rollback();
+  assert.deepEqual(list.toArray(), [0, 1, 2, 3, 4]);
+});
+
+test("insertListAt respects the receiver's capacity", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], { capacity: 4, overflow: "drop-oldest" });
+  list.insertListAt(1, UltimateLinkedList.from(["a", "b"]));
+  assert.deepEqual(list.toArray(), ["a", "b", 2, 3]);
+
+  const strict = new UltimateLinkedList([1], { capacity: 2 });
+  const donor = UltimateLinkedList.from([7, 8]);
+  assert.throws(() => strict.insertListAt(0, donor), /capacity 2 exceeded/);
+  assert.deepEqual(donor.toArray(), [7, 8]);
+});
+
+test("rotate relinks in place with one event and rolls back", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([0, 1, 2, 3, 4], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+  const onOne = list.cursorAt(1);
+  const window = list.view().slice(2, 4);
+
+  list.rotate();
+  assert.deepEqual(list.toArray(), [1, 2, 3, 4, 0]);
+  list.rotate(-7);
+  assert.deepEqual(list.toArray(), [4, 0, 1, 2, 3]);
+  list.rotate(5).rotate(0);
+  assert.deepEqual(events, [
+    { type: "rotate", count: 1 },
+    { type: "rotate", count: 3 },
+  ]);
+  assert.equal(onOne.index(), 2);
+  assert.equal(onOne.value(), 1);
+  assert.deepEqual(window.toArray(), [2, 3]);
+  assert.equal(list.last(), 3);
+
+  const transaction = list.beginTransaction().begin();
+  list.rotate(2);
+  list.append(5);
+  list.rotate(-1);
+  transaction.rollback();
+  assert.deepEqual(list.toArray(), [4, 0, 1, 2, 3]);
+  assert.equal(onOne.index(), 2);
+
+  list.rotate(4);
+  assert.deepEqual(list.toArray(), [3, 4, 0, 1, 2]);
+  assert.deepEqual(window.toArray(), [1, 2]);
+  assert.throws(() => list.rotate(1.5), /integer rotation/);
+  assert.throws(() => list.view().rotate(), /read-only list view/);
+});
+
+test("circular cursors wrap past either end", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = UltimateLinkedList.from(["a", "b", "c"]);
+  const cursor = list.cursor().setCircular();
+  const seen = [];
+  for (let step = 0; step < 7; step++) seen.push(cursor.next().value());
+  assert.deepEqual(seen, ["a", "b", "c", "a", "b", "c", "a"]);
+
+  cursor.setDirection(-1);
+  assert.equal(cursor.next().value(), "c");
+  assert.equal(cursor.index(), 2);
+  assert.equal(cursor.prev().value(), "a");
+  assert.equal(cursor.clone().next().value(), "c");
+
+  const tasks = UltimateLinkedList.from([1, 2, 3]);
+  const scheduler = tasks.cursorAt(2).setCircular();
+  assert.equal(scheduler.remove(), 3);
+  assert.equal(scheduler.value(), 1);
+  assert.equal(scheduler.index(), 0);
+  const order = [];
+  for (const task of scheduler) {
+    order.push(task);
+    if (order.length === 5) break;
+  }
+  assert.deepEqual(order, [1, 2, 1, 2, 1]);
+
+  const drained = [];
+  const drain = tasks.cursor().setCircular();
+  drain.next();
+  while (drain.valid()) drained.push(drain.remove());
+  assert.deepEqual(drained, [1, 2]);
+  assert.equal(drain.next().valid(), false);
+
+  const linear = list.cursorAt(2);
+  assert.equal(linear.next().valid(), false);
+  assert.equal(linear.setCircular().next().value(), "a");
+});
+
+test("replicas stay equal to their source through random edits", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  let seed = 11;
+  const random = (limit) => (seed = (seed * 48271) % 2147483647) % limit;
+  const source = new UltimateLinkedList([1, 2, 3], { observable: true });
+  const replica = UltimateLinkedList.of(1, 2, 3);
+  const wire = UltimateLinkedList.of(1, 2, 3);
+  const batch = [];
+  source.addChangeListener((event) => {
+    replica.applyEvent(event);
+    batch.push(JSON.parse(JSON.stringify(event)));
+  });
+
+  const edits = [
+    () => source.insertAt(random(100), random(source.length + 1)),
+    () => source.removeAt(random(source.length + 1)),
+    () => source.set(random(source.length + 1), random(100)),
+    () => source.splice(random(source.length + 1), random(3), ...[random(100), random(100)].slice(random(3))),
+    () => source.sort((a, b) => a - b),
+    () => source.reverse(),
+    () => source.rotate(random(7) - 3),
+    () => source.concat([random(100), random(100)]),
+    () => source.concat(UltimateLinkedList.of(random(100), random(100))),
+    () => source.insertListAt(random(source.length + 1), UltimateLinkedList.of(random(100))),
+    () => {
+      const donor = new UltimateLinkedList([random(100)], { observable: true });
+      const transaction = donor.beginTransaction().begin();
+      source.concat(donor);
+      transaction.rollback();
+    },
+    () => source.extractRange(random(source.length + 1), source.length),
+    () => random(4) === 0 && source.clear(),
+    () => source.moveToFront(source.appendHandle(random(100))),
+    () =>
+      source.transaction(() => {
+        source.unshift(random(100), random(100));
+        source.pop();
+      }),
+    () => {
+      const transaction = source.beginTransaction().begin();
+      source.append(random(100));
+      transaction.rollback();
+    },
+  ];
+  for (let step = 0; step < 400; step++) {
+    edits[random(edits.length)]();
+    assert.deepEqual(replica.toArray(), source.toArray(), `step ${step}`);
+    if (step % 25 === 24) {
+      wire.applyPatch(batch.splice(0));
+      assert.deepEqual(wire.toArray(), source.toArray(), `step ${step}`);
+    }
+  }
+});
+
+test("applyEvent rejects events that do not match the replica", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const replica = new UltimateLinkedList(["a", "b", "c"], { observable: true });
+  const events = [];
+  replica.addChangeListener((event) => events.push(event));
+
+  assert.throws(() => replica.applyEvent({ type: "remove", index: 1, value: "x" }), /does not match/);
+  assert.throws(() => replica.applyEvent({ type: "add", index: 4, value: "x" }), /does not match/);
+  assert.throws(() => replica.applyEvent({ type: "clear", size: 2 }), /does not match/);
+  assert.throws(() => replica.applyEvent({ type: "sort", order: [1, 0] }), /does not match/);
+  assert.throws(() => replica.applyEvent({ type: "split", index: 2, size: 2 }), /does not match/);
+  assert.throws(() => replica.applyEvent({ type: "concat", index: 0, size: 1 }), TypeError);
+  assert.throws(() => replica.applyEvent({ type: "grow" }), /Unknown event type/);
+  assert.throws(
+    () =>
+      replica.applyPatch([
+        { type: "add", index: 0, value: "z" },
+        { type: "update", index: 3, oldValue: "b", newValue: "y" },
+      ]),
+    /Cannot apply update event/
+  );
+  assert.deepEqual(replica.toArray(), ["a", "b", "c"]);
+  assert.deepEqual(events.map((event) => event.action), ["rollback"]);
+
+  const copies = new UltimateLinkedList([{ id: 1 }, { id: 2 }]);
+  const sameId = (a, b) => a.id === b.id;
+  copies.applyEvent({ type: "remove", index: 1, value: { id: 2 } }, sameId);
+  copies.applyEvent({ type: "concat", index: 0, size: 1, values: [{ id: 0 }] });
+  copies.applyEvent({ type: "transaction", action: "rollback", events: [{ type: "clear", size: 2 }] });
+  assert.deepEqual(copies.toArray(), [{ id: 0 }, { id: 1 }]);
+  assert.throws(() => copies.view().applyEvent({ type: "reverse" }), /read-only list view/);
+});
+
+test("concat and clear payloads reach transactions and batches read by later listeners", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1], { observable: true });
+  list.concat(UltimateLinkedList.of(2, 3)).clear();
+  assert.equal(list.length, 0);
+
+  const transaction = list.beginTransaction().begin();
+  list.concat(UltimateLinkedList.of(4, 5)).clear();
+  assert.deepEqual(transaction.events, [
+    { type: "concat", index: 0, size: 2, values: [4, 5] },
+    { type: "clear", size: 2, values: [4, 5] },
+  ]);
+  transaction.commit();
+
+  const seen = [];
+  list.batch(() => {
+    list.concat(UltimateLinkedList.of(6, 7));
+    list.on("*", (event) => seen.push(event));
+  });
+  assert.deepEqual(seen, [
+    { type: "batch", events: [{ type: "concat", index: 0, size: 2, values: [6, 7] }] },
+  ]);
+});
+
+test("diff finds minimal edit scripts that patch turns a into b", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const script = UltimateLinkedList.diff([..."ABCABBA"], [..."CBABAC"]);
+  const edits = script.filter((step) => step.type !== "keep");
+  assert.equal(edits.length, 5);
+  assert.equal(script.length - edits.filter((step) => step.type === "add").length, 7);
+
+  assert.deepEqual(UltimateLinkedList.diff(["a", "b", "c"], ["a", "x", "c"]), [
+    { type: "keep", index: 0, value: "a" },
+    { type: "remove", index: 1, value: "b" },
+    { type: "add", index: 1, value: "x" },
+    { type: "keep", index: 2, value: "c" },
+  ]);
+  assert.deepEqual(UltimateLinkedList.diff([], []), []);
+  assert.deepEqual(
+    UltimateLinkedList.diff([1, 2], []).map((step) => [step.type, step.index]),
+    [["remove", 0], ["remove", 0]]
+  );
+
+  let seed = 5;
+  const random = (limit) => (seed = (seed * 48271) % 2147483647) % limit;
+  const lcsLength = (a, b) => {
+    const row = new Array(b.length + 1).fill(0);
+    for (const value of a) {
+      let diagonal = 0;
+      for (let j = 1; j <= b.length; j++) {
+        const above = row[j];
+        row[j] = value === b[j - 1] ? diagonal + 1 : Math.max(row[j], row[j - 1]);
+        diagonal = above;
+      }
+    }
+    return row[b.length];
+  };
+  for (let round = 0; round < 60; round++) {
+    const a = UltimateLinkedList.from(Array.from({ length: random(12) }, () => random(4)));
+    const b = Array.from({ length: random(12) }, () => random(4));
+    const steps = UltimateLinkedList.diff(a.immutable(), b);
+    const kept = steps.filter((step) => step.type === "keep").length;
+    assert.equal(kept, lcsLength(a.toArray(), b));
+    assert.equal(steps.length, a.length + b.length - kept);
+    assert.equal(UltimateLinkedList.patch(a, steps), a);
+    assert.deepEqual(a.toArray(), b);
+  }
+
+  const list = new UltimateLinkedList([{ id: 1 }, { id: 2 }], { observable: true });
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+  const sameId = (a, b) => a.id === b.id;
+  const copies = UltimateLinkedList.diff(list, [{ id: 2 }, { id: 3 }], sameId);
+  UltimateLinkedList.patch(list, copies, sameId);
+  assert.deepEqual(list.toArray(), [{ id: 2 }, { id: 3 }]);
+  assert.deepEqual(
+    events[0].events.map((event) => event.type),
+    ["remove", "add"]
+  );
+  assert.throws(() => UltimateLinkedList.patch(list, copies, sameId), /does not match/);
+  assert.throws(() => UltimateLinkedList.patch([1], []), TypeError);
+});
+
+test("typed listeners run by priority and unsubscribe through off, once, and signals", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([], { observable: true });
+  const calls = [];
+  const record = (name) => (event) => calls.push(`${name}:${event.type}`);
+  const controller = new AbortController();
+  list.on("add", record("late"), { priority: -1 });
+  list.on("add", record("first"));
+  list.on("add", record("urgent"), { priority: 5 });
+  list.once("*", record("once"));
+  list.on("remove", record("signal"), { signal: controller.signal });
+  const unsubscribe = list.addChangeListener(record("all"));
+
+  list.append(1);
+  assert.deepEqual(calls, ["urgent:add", "first:add", "once:add", "all:add", "late:add"]);
+
+  calls.length = 0;
+  list.pop();
+  controller.abort();
+  list.append(2).pop();
+  unsubscribe();
+  list.off("add");
+  list.append(3);
+  assert.deepEqual(calls, [
+    "signal:remove",
+    "all:remove",
+    "urgent:add",
+    "first:add",
+    "all:add",
+    "late:add",
+    "all:remove",
+  ]);
+
+  const aborted = AbortSignal.abort();
+  const listener = record("gone");
+  list.on("add", listener, { signal: aborted });
+  list.on("update", listener);
+  list.on("clear", listener);
+  list.off(undefined, listener);
+  list.set(0, 4);
+  list.clear();
+  list.off();
+  list.append(5);
+  assert.equal(calls.length, 7);
+  assert.equal(list.view().on("add", listener)(), undefined);
+  assert.throws(() => list.on("add", "nope"), TypeError);
+  assert.throws(() => list.on(1, listener), TypeError);
+  assert.throws(() => list.on("add", listener, { priority: NaN }), TypeError);
+});
+
+test("onListenerError strategies report errors after the change completes", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const failing = (list) => {
+    list.on("add", (event) => {
+      throw new Error(`add ${event.value}`);
+    });
+    list.on("*", () => {
+      throw new TypeError("second");
+    });
+  };
+
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    const list = new UltimateLinkedList([], { observable: true });
+    failing(list);
+    list.append(1);
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(
+    logged.map(([message, error]) => [message, error.message]),
+    [["Error in listener:", "add 1"], ["Error in listener:", "second"]]
+  );
+
+  const rethrown = new UltimateLinkedList([], {
+    observable: true,
+    capacity: 2,
+    overflow: "drop-oldest",
+    onListenerError: "rethrow",
+  });
+  const evicted = [];
+  rethrown.on("evict", (event) => evicted.push(event.value));
+  failing(rethrown);
+  assert.throws(() => rethrown.push(1, 2, 3), /^Error: add 1$/);
+  assert.deepEqual(rethrown.toArray(), [2, 3]);
+  assert.deepEqual(evicted, [1]);
+
+  const aggregated = new UltimateLinkedList([], { observable: true, onListenerError: "aggregate" });
+  failing(aggregated);
+  assert.throws(
+    () => aggregated.transaction(() => aggregated.append(1)),
+    (error) =>
+      error instanceof AggregateError && error.errors.map((each) => each.message).join() === "second"
+  );
+  assert.throws(
+    () => aggregated.beginTransaction().begin().commit(),
+    (error) => error instanceof AggregateError && error.errors[0].message === "second"
+  );
+  assert.throws(
+    () => aggregated.unshift(1, 2),
+    (error) => error instanceof AggregateError && error.errors.length === 4
+  );
+  assert.deepEqual(aggregated.toArray(), [1, 2, 1]);
+
+  const handled = [];
+  const custom = new UltimateLinkedList([], {
+    observable: true,
+    onListenerError: (error, event) => handled.push([error.message, event.type]),
+  });
+  failing(custom);
+  custom.append(7);
+  assert.deepEqual(handled, [["add 7", "add"], ["second", "add"]]);
+
+  const other = new UltimateLinkedList([], { observable: true, onListenerError: "rethrow" });
+  other.on("*", () => {
+    throw new Error("group member");
+  });
+  assert.throws(
+    () => UltimateLinkedList.transaction([other, custom], () => other.append(1) && custom.append(2)),
+    /group member/
+  );
+  assert.deepEqual(custom.toArray(), [7, 2]);
+  custom.beginTransaction().begin().commit();
+  assert.deepEqual(handled.at(-1), ["second", "transaction"]);
+  assert.throws(() => new UltimateLinkedList([], { onListenerError: "ignore" }), TypeError);
+});
+
+test("cursor edits stay valid on strict lists when listener errors are rethrown", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  for (const onListenerError of ["rethrow", "aggregate"]) {
+    const list = new UltimateLinkedList(["a", "b", "c"], {
+      strict: true,
+      observable: true,
+      onListenerError,
+    });
+    list.on("*", () => {
+      throw new Error("listener");
+    });
+    const cursor = list.cursorAt(1).setCircular();
+    const other = list.cursorAt(0);
+
+    assert.throws(() => cursor.insertBefore("x"));
+    assert.throws(() => cursor.insertAfter("y"));
+    assert.equal(cursor.value(), "b");
+    assert.equal(cursor.index(), 2);
+    assert.throws(() => cursor.remove());
+    assert.equal(cursor.value(), "y");
+    cursor.next();
+    assert.throws(() => cursor.remove());
+    assert.equal(cursor.value(), "a");
+    assert.equal(cursor.index(), 0);
+    assert.deepEqual(list.toArray(), ["a", "x", "y"]);
+    assert.throws(() => other.next(), /Concurrent modification/);
+  }
+});
+
+test("batch delivers coalesced events once the block ends", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList(["a", "b"], { observable: true });
+  const events = [];
+  list.on("*", (event) => events.push(event));
+
+  const result = list.batch(() => {
+    list.push(1, 2);
+    list.batch(() => list.append(3));
+    assert.deepEqual(events, []);
+    list.unshift("x", "y");
+    list.set(0, "X");
+    list.shift();
+    list.set(4, 20);
+    list.removeAt(1);
+    list.removeAt(1);
+    return "done";
+  });
+  assert.equal(result, "done");
+  assert.deepEqual(list.toArray(), ["y", 1, 20, 3]);
+  assert.deepEqual(events, [
+    {
+      type: "batch",
+      events: [
+        { type: "add", index: 2, values: [1, 20, 3] },
+        { type: "add", index: 0, value: "y" },
+        { type: "remove", index: 1, values: ["a", "b"] },
+      ],
+    },
+  ]);
+
+  const replica = new UltimateLinkedList(["a", "b"]);
+  replica.applyEvent(events[0]);
+  assert.deepEqual(replica.toArray(), list.toArray());
+
+  events.length = 0;
+  list.batch(() => {
+    list.append("temp");
+    list.set(4, "changed");
+    list.pop();
+  });
+  list.batch(() => {});
+  assert.deepEqual(events, []);
+
+  list.batch(() => {
+    list.set(0, "first");
+    list.set(0, "second");
+    list.shift();
+    list.reverse();
+    list.pop();
+  });
+  assert.deepEqual(events[0].events, [
+    { type: "remove", index: 0, value: "y" },
+    { type: "reverse", size: 3 },
+    { type: "remove", index: 2, value: 1 },
+  ]);
+  assert.throws(() => list.batch("nope"), TypeError);
+});
+
+test("microtask batching delivers on the next microtask and flush delivers now", async () => {
+  const {
+    module: { UltimateLinkedList },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([], { observable: true, batching: "microtask" });
+  const events = [];
+  list.on("*", (event) => events.push(event));
+
+  for (let value = 1; value <= 3; value++) list.append(value);
+  list.transaction(() => list.prepend(0));
+  assert.deepEqual(events, []);
+  await Promise.resolve();
+  assert.deepEqual(events, [
+    {
+      type: "batch",
+      events: [
+        { type: "add", index: 0, values: [1, 2, 3] },
+        { type: "transaction", action: "commit", events: [{ type: "add", index: 0, value: 0 }] },
+      ],
+    },
+  ]);
+
+  list.clear();
+  list.flush();
+  assert.equal(events.length, 2);
+  assert.deepEqual(events[1].events, [{ type: "clear", size: 4, values: [0, 1, 2, 3] }]);
+  await Promise.resolve();
+  assert.equal(events.length, 2);
+
+  const bounded = new UltimateLinkedList([1, 2], {
+    observable: true,
+    capacity: 2,
+    overflow: "drop-oldest",
+  });
+  const batches = [];
+  bounded.on("batch", (event) => batches.push(event.events));
+  bounded.batch(() => bounded.push(3, 4));
+  assert.deepEqual(batches, [
+    [
+      { type: "add", index: 2, values: [3, 4] },
+      { type: "evict", index: 0, values: [1, 2] },
+    ],
+  ]);
+  assert.throws(() => new UltimateLinkedList([], { batching: "sync" }), TypeError);
+
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    for (const onListenerError of ["rethrow", "aggregate"]) {
+      const failing = new UltimateLinkedList([], {
+        observable: true,
+        batching: "microtask",
+        onListenerError,
+      });
+      failing.on("batch", () => {
+        throw new Error("listener boom");
+      });
+      failing.append(1);
+      await Promise.resolve();
+      assert.throws(
+        () => failing.append(2).flush(),
+        (error) => (error.errors?.[0] ?? error).message === "listener boom"
+      );
+    }
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(
+    logged.map(([message, error]) => [message, error.message]),
+    [
+      ["Error in listener:", "listener boom"],
+      ["Error in listener:", "listener boom"],
+    ]
+  );
+});
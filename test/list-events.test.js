@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { pathToFileURL } from "node:url";
+import test from "node:test";
+import { UltimateLinkedList } from "../data-structures/iterator-based-linked-list.js";
+
+const moduleUrl = pathToFileURL(
+  new URL("../data-structures/list-events.js", import.meta.url).pathname
+).href;
+
+async function importQuietly() {
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args);
+  try {
+    const module = await import(`${moduleUrl}?cacheBust=${Date.now()}-${Math.random()}`);
+    return { module, logs };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test("module import has no console output", async () => {
+  const { module, logs } = await importQuietly();
+
+  assert.equal(typeof module.toEventEmitter, "function");
+  assert.equal(typeof module.toEventTarget, "function");
+  assert.deepEqual(logs, []);
+});
+
+test("toEventEmitter re-emits change events by type until aborted", async () => {
+  const {
+    module: { toEventEmitter },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([], { observable: true, onListenerError: "rethrow" });
+  const controller = new AbortController();
+  const existing = new EventEmitter();
+  const emitter = toEventEmitter(list, { emitter: existing, signal: controller.signal });
+  assert.equal(emitter, existing);
+
+  const seen = [];
+  emitter.on("add", (event) => seen.push(["add", event.value]));
+  emitter.once("remove", (event) => seen.push(["remove", event.value]));
+  list.append("a").append("b");
+  list.shift();
+  list.shift();
+  assert.deepEqual(seen, [["add", "a"], ["add", "b"], ["remove", "a"]]);
+
+  emitter.on("update", () => {
+    throw new Error("listener failed");
+  });
+  list.append("c");
+  assert.throws(() => list.set(0, "d"), /listener failed/);
+  assert.equal(list.first(), "d");
+
+  controller.abort();
+  list.append("e");
+  assert.deepEqual(seen.at(-1), ["add", "c"]);
+  assert.throws(() => toEventEmitter([]), TypeError);
+});
+
+test("toEventTarget dispatches CustomEvents carrying the change", async () => {
+  const {
+    module: { toEventTarget },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([2, 1], { observable: true });
+  const target = toEventTarget(list.view());
+  const details = [];
+  target.addEventListener("sort", (event) => details.push(event.detail));
+  target.addEventListener("reverse", (event) => details.push(event.detail), { once: true });
+
+  list.sort((a, b) => a - b);
+  list.reverse();
+  list.reverse();
+  assert.deepEqual(details, [
+    { type: "sort", order: [1, 0] },
+    { type: "reverse", size: 2 },
+  ]);
+});
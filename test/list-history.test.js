@@ -0,0 +1,245 @@
+import assert from "node:assert/strict";
+import { pathToFileURL } from "node:url";
+import test from "node:test";
+import { UltimateLinkedList } from "../data-structures/iterator-based-linked-list.js";
+
+const moduleUrl = pathToFileURL(
+  new URL("../data-structures/list-history.js", import.meta.url).pathname
+).href;
+
+async function importQuietly() {
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args);
+  try {
+    const module = await import(`${moduleUrl}?cacheBust=${Date.now()}-${Math.random()}`);
+    return { module, logs };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test("module import has no console output", async () => {
+  const { module, logs } = await importQuietly();
+
+  assert.equal(typeof module.History, "function");
+  assert.deepEqual(logs, []);
+});
+
+test("undo and redo step through every kind of edit", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([3, 1, 2], { observable: true });
+  const history = new History(list);
+  const states = [list.toArray()];
+  const edits = [
+    () => list.append(4),
+    () => list.removeAt(0),
+    () => list.set(1, 9),
+    () => list.sort((a, b) => a - b),
+    () => list.reverse(),
+    () => list.rotate(2),
+    () => list.splice(1, 2, "x", "y", "z"),
+    () => list.concat(UltimateLinkedList.of("c", "d")),
+    () => list.insertListAt(1, UltimateLinkedList.of("i")),
+    () => list.clear(),
+    () => list.push(7, 8),
+    () => list.unshift(5, 6),
+  ];
+  for (const edit of edits) {
+    edit();
+    states.push(list.toArray());
+  }
+
+  assert.equal(history.canRedo(), false);
+  for (let index = states.length - 2; index >= 0; index--) {
+    assert.equal(history.undo(), true);
+    assert.deepEqual(list.toArray(), states[index]);
+  }
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.undo(), false);
+
+  for (let index = 1; index < states.length; index++) {
+    assert.equal(history.redo(), true);
+    assert.deepEqual(list.toArray(), states[index]);
+  }
+  assert.equal(history.redo(), false);
+
+  history.undo();
+  list.append("new");
+  assert.equal(history.canRedo(), false);
+});
+
+test("transactions and groups are single steps", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList(["a"], { observable: true });
+  const history = new History(list);
+  const events = [];
+  list.addChangeListener((event) => events.push(event));
+
+  list.transaction(() => {
+    list.append("b");
+    list.append("c");
+  });
+  const rolledBack = list.beginTransaction().begin();
+  list.append("lost");
+  rolledBack.rollback();
+  history.group(() => {
+    list.shift();
+    history.group(() => list.prepend("z"));
+  });
+  assert.throws(() => history.group(() => history.undo()), /inside group/);
+  assert.deepEqual(list.toArray(), ["z", "b", "c"]);
+
+  events.length = 0;
+  history.undo();
+  assert.deepEqual(list.toArray(), ["a", "b", "c"]);
+  assert.deepEqual(events.map((event) => [event.type, event.action]), [["transaction", "commit"]]);
+  history.undo();
+  assert.deepEqual(list.toArray(), ["a"]);
+  assert.equal(history.canUndo(), false);
+  history.redo();
+  history.redo();
+  assert.deepEqual(list.toArray(), ["z", "b", "c"]);
+
+  const open = list.beginTransaction().begin();
+  assert.throws(() => history.undo(), /active transaction/);
+  open.commit();
+});
+
+test("the depth limit drops the oldest steps", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([], { observable: true });
+  const history = new History(list, { limit: 2 });
+  list.append(1).append(2).append(3);
+
+  assert.equal(history.undo(), true);
+  assert.equal(history.undo(), true);
+  assert.equal(history.undo(), false);
+  assert.deepEqual(list.toArray(), [1]);
+
+  assert.throws(() => new History(list, { limit: -1 }), RangeError);
+  assert.throws(() => new History(UltimateLinkedList.of(1)), /observable/);
+  assert.throws(() => new History([1]), TypeError);
+});
+
+test("bounded lists replay evictions exactly", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], {
+    observable: true,
+    capacity: 3,
+    overflow: "drop-oldest",
+  });
+  const history = new History(list);
+  list.append(4);
+  list.push(5, 6);
+  assert.deepEqual(list.toArray(), [4, 5, 6]);
+
+  history.undo();
+  assert.deepEqual(list.toArray(), [2, 3, 4]);
+  history.undo();
+  assert.deepEqual(list.toArray(), [1, 2, 3]);
+  history.redo();
+  history.redo();
+  assert.deepEqual(list.toArray(), [4, 5, 6]);
+  assert.equal(list.capacity, 3);
+});
+
+test("edits listeners make during undo respect capacity and become new steps", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], {
+    observable: true,
+    capacity: 3,
+    overflow: "drop-oldest",
+  });
+  const history = new History(list);
+  list.append(4);
+  assert.deepEqual(list.toArray(), [2, 3, 4]);
+
+  let react = true;
+  list.on("transaction", () => {
+    if (react) {
+      react = false;
+      list.append("from-listener");
+    }
+  });
+  history.undo();
+  assert.deepEqual(list.toArray(), [2, 3, "from-listener"]);
+  assert.equal(history.canRedo(), false);
+  history.undo();
+  assert.deepEqual(list.toArray(), [1, 2, 3]);
+  assert.equal(history.canUndo(), false);
+
+  assert.throws(
+    () => list.transaction(() => list.uncapped(() => list.push(4, 5))),
+    /capacity 3 exceeded/
+  );
+  assert.deepEqual(list.toArray(), [1, 2, 3]);
+  assert.equal(history.canUndo(), false);
+});
+
+test("moving nodes to another list resets the history", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1, 2, 3], { observable: true });
+  const history = new History(list);
+  list.append(4);
+  const tail = list.splitAt(2);
+  assert.deepEqual(tail.toArray(), [3, 4]);
+  assert.equal(history.canUndo(), false);
+
+  const receiver = UltimateLinkedList.of(0);
+  receiver.concat(list);
+  assert.equal(history.canUndo(), false);
+
+  history.detach();
+  list.append(5);
+  assert.equal(history.canUndo(), false);
+});
+
+test("batches are single steps and pending batches flush first", async () => {
+  const {
+    module: { History },
+  } = await importQuietly();
+
+  const list = new UltimateLinkedList([1], { observable: true, batching: "microtask" });
+  const history = new History(list);
+  list.push(2, 3);
+  list.shift();
+  assert.equal(history.canUndo(), false);
+  history.group(() => list.set(0, 20));
+  list.batch(() => list.unshift(-1, 0));
+  list.append(4);
+  await Promise.resolve();
+
+  assert.equal(history.undo(), true);
+  assert.deepEqual(list.toArray(), [-1, 0, 20, 3]);
+  history.undo();
+  assert.deepEqual(list.toArray(), [20, 3]);
+  history.undo();
+  assert.deepEqual(list.toArray(), [2, 3]);
+  history.undo();
+  assert.deepEqual(list.toArray(), [1]);
+  assert.equal(history.canUndo(), false);
+
+  await Promise.resolve();
+  assert.equal(history.canRedo(), true);
+  while (history.redo());
+  assert.deepEqual(list.toArray(), [-1, 0, 20, 3, 4]);
+});
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { pathToFileURL } from "node:url";
+import test from "node:test";
+
+const moduleUrl = pathToFileURL(
+  new URL("../data-structures/lru-cache.js", import.meta.url).pathname
+).href;
+
+async function importQuietly() {
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args);
+  try {
+    const module = await import(`${moduleUrl}?cacheBust=${Date.now()}-${Math.random()}`);
+    return { module, logs };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test("module import has no console output", async () => {
+  const { module, logs } = await importQuietly();
+
+  assert.equal(typeof module.LRUCache, "function");
+  assert.equal(typeof module.LFUCache, "function");
+  assert.deepEqual(logs, []);
+});
+
+test("LRU caches evict the least recently used entry", async () => {
+  const {
+    module: { LRUCache },
+  } = await importQuietly();
+
+  const evicted = [];
+  const cache = new LRUCache({ maxSize: 3, onEvict: (key, value) => evicted.push([key, value]) });
+  cache.set("a", 1).set("b", 2).set("c", 3);
+
+  assert.equal(cache.get("a"), 1);
+  assert.equal(cache.peek("b"), 2);
+  cache.set("d", 4);
+  assert.deepEqual(evicted, [["b", 2]]);
+  assert.equal(cache.has("b"), false);
+  assert.deepEqual([...cache.keys()], ["c", "a", "d"]);
+
+  cache.set("c", 30);
+  cache.set("e", 5);
+  assert.deepEqual(evicted, [["b", 2], ["a", 1]]);
+  assert.deepEqual([...cache], [["d", 4], ["c", 30], ["e", 5]]);
+
+  assert.equal(cache.delete("d"), true);
+  assert.equal(cache.delete("d"), false);
+  assert.equal(cache.get("d"), undefined);
+  assert.equal(cache.size, 2);
+  assert.equal(cache.clear().size, 0);
+  assert.equal(evicted.length, 2);
+});
+
+test("weighted caches evict until the new entry fits", async () => {
+  const {
+    module: { LRUCache },
+  } = await importQuietly();
+
+  const cache = new LRUCache({ maxSize: 10, sizeOf: (value) => value.length });
+  cache.set("a", "xxxx").set("b", "xxxx");
+  assert.equal(cache.totalSize, 8);
+
+  cache.set("c", "xxxxxx");
+  assert.deepEqual([...cache.keys()], ["b", "c"]);
+  assert.equal(cache.totalSize, 10);
+
+  cache.set("b", "x");
+  assert.equal(cache.totalSize, 7);
+  assert.deepEqual([...cache.keys()], ["c", "b"]);
+
+  assert.throws(() => cache.set("big", "x".repeat(11)), /exceeds maxSize 10/);
+  assert.throws(() => new LRUCache({ sizeOf: () => -1 }).set("k", 1), /Invalid size -1/);
+  assert.throws(() => new LRUCache({ maxSize: -1 }), /non-negative/);
+  assert.deepEqual([...cache.values()], ["xxxxxx", "x"]);
+});
+
+test("LFU caches evict the least frequently used entry, oldest first", async () => {
+  const {
+    module: { LFUCache },
+  } = await importQuietly();
+
+  const evicted = [];
+  const cache = new LFUCache({ maxSize: 3, onEvict: (key) => evicted.push(key) });
+  cache.set("a", 1).set("b", 2).set("c", 3);
+  cache.get("a");
+  cache.get("a");
+  cache.get("b");
+
+  cache.set("d", 4);
+  assert.deepEqual(evicted, ["c"]);
+  cache.set("e", 5);
+  assert.deepEqual(evicted, ["c", "d"]);
+  assert.deepEqual([...cache.keys()], ["e", "b", "a"]);
+
+  cache.delete("e");
+  cache.delete("b");
+  cache.set("f", 6).set("g", 7);
+  cache.get("g");
+  cache.set("h", 8);
+  assert.deepEqual(evicted, ["c", "d", "f"]);
+  assert.deepEqual([...cache.keys()], ["h", "g", "a"]);
+  assert.equal(cache.clear().size, 0);
+  assert.equal(cache.set("i", 9).get("i"), 9);
+});
+
+test("observable caches notify listeners of evictions", async () => {
+  const {
+    module: { LRUCache, LFUCache },
+  } = await importQuietly();
+
+  for (const Cache of [LRUCache, LFUCache]) {
+    const cache = new Cache({ maxSize: 1, observable: true });
+    const events = [];
+    const unsubscribe = cache.addChangeListener((event) => events.push(event));
+
+    cache.set("a", 1).set("b", 2);
+    unsubscribe();
+    cache.set("c", 3);
+
+    assert.deepEqual(events, [{ type: "evict", key: "a", value: 1 }]);
+  }
+});
+
+test("onListenerError strategies report eviction listener errors after set completes", async () => {
+  const {
+    module: { LRUCache, LFUCache },
+  } = await importQuietly();
+
+  for (const Cache of [LRUCache, LFUCache]) {
+    const failing = (cache) =>
+      cache.addChangeListener((event) => {
+        throw new Error(`evict ${event.key}`);
+      });
+
+    const rethrown = new Cache({ maxSize: 2, observable: true, onListenerError: "rethrow" });
+    failing(rethrown);
+    rethrown.set("a", 1).set("b", 2);
+    assert.throws(() => rethrown.set("c", 3), /^Error: evict a$/);
+    assert.deepEqual([...rethrown.keys()], ["b", "c"]);
+
+    const weighted = new Cache({
+      maxSize: 3,
+      sizeOf: (value) => value,
+      observable: true,
+      onListenerError: "aggregate",
+    });
+    failing(weighted);
+    weighted.set("a", 1).set("b", 1);
+    assert.throws(
+      () => weighted.set("c", 3),
+      (error) =>
+        error instanceof AggregateError &&
+        error.errors.map((each) => each.message).join() === "evict a,evict b"
+    );
+    assert.deepEqual([...weighted.entries()], [["c", 3]]);
+    assert.equal(weighted.totalSize, 3);
+
+    const handled = [];
+    const custom = new Cache({
+      maxSize: 1,
+      observable: true,
+      onListenerError: (error, event) => handled.push([error.message, event.type]),
+    });
+    failing(custom);
+    custom.set("a", 1).set("b", 2);
+    assert.deepEqual(handled, [["evict a", "evict"]]);
+
+    const logged = [];
+    const originalError = console.error;
+    console.error = (...args) => logged.push(args);
+    try {
+      const logging = new Cache({ maxSize: 1, observable: true });
+      failing(logging);
+      logging.set("a", 1).set("b", 2);
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepEqual(
+      logged.map(([message, error]) => [message, error.message]),
+      [["Error in listener:", "evict a"]]
+    );
+
+    assert.throws(() => new Cache({ onListenerError: "ignore" }), TypeError);
+  }
+});
+
+test("a throwing onEvict leaves an updated key with its previous value", async () => {
+  const {
+    module: { LRUCache, LFUCache },
+  } = await importQuietly();
+
+  for (const Cache of [LRUCache, LFUCache]) {
+    const cache = new Cache({
+      maxSize: 3,
+      sizeOf: (value) => value,
+      onEvict: () => {
+        throw new Error("evict failed");
+      },
+    });
+    cache.set("a", 1).set("b", 1);
+
+    assert.throws(() => cache.set("b", 3), /evict failed/);
+    assert.equal(cache.has("b"), true);
+    assert.equal(cache.peek("b"), 1);
+    assert.equal(cache.size, 1);
+    assert.equal(cache.totalSize, 1);
+  }
+});
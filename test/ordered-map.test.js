@@ -0,0 +1,236 @@
+import assert from "node:assert/strict";
+import { pathToFileURL } from "node:url";
+import test from "node:test";
+
+const moduleUrl = pathToFileURL(
+  new URL("../data-structures/ordered-map.js", import.meta.url).pathname
+).href;
+
+async function importQuietly() {
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args);
+  try {
+    const module = await import(`${moduleUrl}?cacheBust=${Date.now()}-${Math.random()}`);
+    return { module, logs };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test("module import has no console output", async () => {
+  const { module, logs } = await importQuietly();
+
+  assert.equal(typeof module.OrderedMap, "function");
+  assert.equal(typeof module.OrderedSet, "function");
+  assert.deepEqual(logs, []);
+});
+
+test("ordered maps keep insertion order and reorder keys", async () => {
+  const {
+    module: { OrderedMap },
+  } = await importQuietly();
+
+  const map = new OrderedMap([
+    ["a", 1],
+    ["b", 2],
+    ["c", 3],
+  ]);
+  map.set("b", 20).set("d", 4);
+
+  assert.equal(map.size, 4);
+  assert.equal(map.get("b"), 20);
+  assert.equal(map.has("z"), false);
+  assert.deepEqual([...map], [["a", 1], ["b", 20], ["c", 3], ["d", 4]]);
+
+  assert.equal(map.moveToFront("c"), true);
+  assert.equal(map.moveToBack("a"), true);
+  assert.equal(map.moveToBack("z"), false);
+  map.insertBefore("d", "x", 9);
+  map.insertAfter("x", "b", 21);
+  map.insertAfter("b", "b", 22);
+  assert.deepEqual([...map.keys()], ["c", "x", "b", "d", "a"]);
+  assert.deepEqual([...map.values(-1)], [1, 4, 22, 9, 3]);
+  assert.deepEqual([...map.entries(-1)][0], ["a", 1]);
+  assert.throws(() => map.insertBefore("missing", "y", 0), /No entry for key missing/);
+
+  assert.equal(map.delete("x"), true);
+  assert.equal(map.delete("x"), false);
+  const seen = [];
+  map.forEach((value, key, source) => seen.push([key, value, source === map]));
+  assert.deepEqual(seen[0], ["c", 3, true]);
+  const cursor = map.cursorAt(1);
+  assert.equal(cursor.value().key, "b");
+  for (const edit of [
+    () => cursor.remove(),
+    () => cursor.insertBefore({ key: "b", value: 0 }),
+    () => cursor.insertAfter({ key: "b", value: 0 }),
+    () => cursor.replace({ key: "q", value: 0 }),
+  ]) {
+    assert.throws(edit, /edit entries through the map/);
+  }
+  assert.deepEqual([...map.keys()], ["c", "b", "d", "a"]);
+  assert.equal(map.get("b"), 22);
+  assert.deepEqual(
+    [...cursor.clone().setDirection(-1)].map((record) => record.key),
+    ["b", "c"]
+  );
+  assert.equal(map.cursor().next().distanceTo(cursor), 1);
+  assert.equal(cursor.next().atEnd(), false);
+  assert.equal(map.clear().size, 0);
+  assert.equal(map.get("c"), undefined);
+});
+
+test("key operations keep cursors right and give late listeners indices", async () => {
+  const {
+    module: { OrderedMap },
+  } = await importQuietly();
+
+  const map = new OrderedMap([["a", 1], ["b", 2]], { observable: true });
+  const cursor = map.cursorAt(0);
+  map.set("c", 3).set("a", 10);
+  map.moveToFront("c");
+  map.delete("b");
+  assert.deepEqual([...map.keys()], ["c", "a"]);
+  assert.deepEqual([cursor.index(), cursor.value().key], [1, "a"]);
+
+  const events = [];
+  const unsubscribe = map.addChangeListener((event) => events.push(event));
+  map.moveToBack("c");
+  unsubscribe();
+  assert.deepEqual(
+    events.map(({ type, index }) => [type, index]),
+    [["remove", 0], ["add", 1]]
+  );
+});
+
+test("ordered map events carry keys and indices", async () => {
+  const {
+    module: { OrderedMap },
+  } = await importQuietly();
+
+  const map = new OrderedMap([["a", 1]], { observable: true });
+  const events = [];
+  map.addChangeListener((event) => events.push(event));
+
+  map.set("b", 2).set("a", 10);
+  map.moveToFront("b");
+  map.delete("a");
+  map.transaction(() => map.set("c", 3));
+
+  assert.deepEqual(events, [
+    { type: "add", index: 1, key: "b", value: 2 },
+    { type: "update", index: 0, key: "a", oldValue: 1, newValue: 10 },
+    { type: "remove", index: 1, key: "b", value: 2 },
+    { type: "add", index: 0, key: "b", value: 2 },
+    { type: "remove", index: 1, key: "a", value: 10 },
+    {
+      type: "transaction",
+      action: "commit",
+      events: [{ type: "add", index: 1, key: "c", value: 3 }],
+    },
+  ]);
+
+  events.length = 0;
+  map.batch(() => {
+    map.set("d", 4).set("e", 5).set("d", 40);
+    map.delete("e");
+    map.set("f", 6);
+  });
+  assert.deepEqual(events, [
+    {
+      type: "batch",
+      events: [{ type: "add", index: 2, keys: ["d", "f"], values: [40, 6] }],
+    },
+  ]);
+  events.length = 0;
+  map.clear();
+  assert.deepEqual(events, [
+    { type: "clear", size: 4, keys: ["b", "c", "d", "f"], values: [2, 3, 40, 6] },
+  ]);
+
+  const bounded = new OrderedMap([["a", 1]], { observable: true, capacity: 1, overflow: "drop-oldest" });
+  const evictions = [];
+  bounded.addChangeListener((event) => evictions.push(event));
+  bounded.set("b", 2);
+  assert.deepEqual(evictions.at(-1), { type: "evict", index: 0, key: "a", value: 1 });
+  assert.equal(bounded.has("a"), false);
+});
+
+test("rolling back an ordered map transaction restores keys and order", async () => {
+  const {
+    module: { OrderedMap },
+  } = await importQuietly();
+
+  const map = new OrderedMap([
+    ["a", 1],
+    ["b", 2],
+    ["c", 3],
+  ]);
+
+  assert.throws(
+    () =>
+      map.transaction(() => {
+        map.delete("a");
+        map.set("a", 100);
+        map.delete("a");
+        map.set("a", 1000);
+        map.insertAfter("a", "b", 20);
+        map.set("d", 4);
+        map.moveToFront("c");
+        map.clear();
+        map.set("e", 5);
+        throw new Error("undo");
+      }),
+    /undo/
+  );
+
+  assert.deepEqual([...map], [["a", 1], ["b", 2], ["c", 3]]);
+  assert.equal(map.has("d"), false);
+  assert.equal(map.has("e"), false);
+  assert.equal(map.get("a"), 1);
+  map.delete("a");
+  assert.deepEqual([...map.keys()], ["b", "c"]);
+
+  const transaction = map.beginTransaction().begin();
+  map.delete("b");
+  map.set("b", 22);
+  transaction.commit();
+  assert.deepEqual([...map], [["c", 3], ["b", 22]]);
+  assert.equal(map.get("b"), 22);
+  assert.equal(map.size, 2);
+
+  map.transaction(() => map.clear().set("c", 30));
+  assert.equal(map.has("b"), false);
+  assert.equal(map.get("b"), undefined);
+  assert.deepEqual([...map], [["c", 30]]);
+});
+
+test("ordered sets keep insertion order with map-style reordering", async () => {
+  const {
+    module: { OrderedSet },
+  } = await importQuietly();
+
+  const set = new OrderedSet(["a", "b", "a", "c"], { observable: true });
+  const events = [];
+  set.addChangeListener((event) => events.push([event.type, event.key, event.index]));
+
+  set.add("b").add("d");
+  set.moveToFront("d");
+  set.insertBefore("b", "c");
+
+  assert.equal(set.size, 4);
+  assert.equal(set.has("c"), true);
+  assert.deepEqual([...set], ["d", "a", "c", "b"]);
+  assert.deepEqual([...set.values(-1)], ["b", "c", "a", "d"]);
+  assert.deepEqual([...set.entries()][0], ["d", "d"]);
+  assert.deepEqual(events, [
+    ["add", "d", 3],
+    ["remove", "d", 3],
+    ["add", "d", 0],
+    ["remove", "c", 3],
+    ["add", "c", 2],
+  ]);
+  assert.equal(set.delete("a"), true);
+  assert.deepEqual([...set.keys()], ["d", "c", "b"]);
+});
@@ -132,3 +132,85 @@ test("does not expose mutable internal nodes", async () => {
   assert.equal(typeof list.getNodeAt, "undefined");
   assert.deepEqual(list.toArray(), [1, 2, 3]);
 });
+
+test("sorts stably in place and supports comparator arrays and sort keys", async () => {
+  const {
+    module: { LinkedList },
+  } = await importQuietly();
+
+  const values = Array.from({ length: 21 }, (_, index) => ({ key: index % 3, index }));
+  const list = LinkedList.from(values);
+
+  assert.equal(list.sort((a, b) => a.key - b.key), list);
+  assert.deepEqual(list.toArray(), values.slice().sort((a, b) => a.key - b.key));
+  assert.equal(list.last(), list.at(-1));
+  assert.equal(list.append("end").last(), "end");
+
+  assert.deepEqual(LinkedList.of(10, undefined, 9, 1).sort().toArray(), [1, 10, 9, undefined]);
+  assert.deepEqual(
+    LinkedList.of("bb", "a", "ccc", "dd")
+      .sort([(a, b) => a.length - b.length, (a, b) => (a < b ? 1 : a > b ? -1 : 0)])
+      .toArray(),
+    ["a", "dd", "bb", "ccc"]
+  );
+  assert.deepEqual(
+    LinkedList.of("bb", "a", "ccc").sortBy({ key: (s) => s.length, order: "desc" }).toArray(),
+    ["ccc", "bb", "a"]
+  );
+});
+
+test("a throwing sort comparator leaves every node linked", async () => {
+  const {
+    module: { LinkedList },
+  } = await importQuietly();
+
+  const list = LinkedList.of(4, 2, 6, 1, 5, 3);
+  let calls = 0;
+
+  assert.throws(
+    () =>
+      list.sort((a, b) => {
+        if (++calls === 4) throw new Error("boom");
+        return a - b;
+      }),
+    /boom/
+  );
+  assert.equal(list.length, 6);
+  assert.deepEqual(list.toArray().sort(), [1, 2, 3, 4, 5, 6]);
+  assert.equal(list.append(7).last(), 7);
+  assert.equal(list.toArray().length, 7);
+});
+
+test("bounded lists apply overflow policies to every insert", async () => {
+  const {
+    module: { LinkedList },
+  } = await importQuietly();
+
+  const capped = new LinkedList([1, 2], { capacity: 2 });
+  assert.equal(capped.capacity, 2);
+  assert.throws(() => capped.append(3), /List capacity 2 exceeded/);
+  assert.throws(() => capped.insertAt(0, 0), /List capacity 2 exceeded/);
+  assert.throws(() => capped.concat(LinkedList.of(3)), /List capacity 2 exceeded/);
+  assert.throws(() => new LinkedList([], { overflow: "wrap" }), /Unknown overflow/);
+  assert.deepEqual(capped.toArray(), [1, 2]);
+
+  const evicted = [];
+  const onEvict = (value) => evicted.push(value);
+  const oldest = new LinkedList([1, 2, 3], { capacity: 3, overflow: "drop-oldest", onEvict });
+  oldest.append(4).concat(LinkedList.of(5, 6));
+  assert.deepEqual(oldest.toArray(), [4, 5, 6]);
+  assert.deepEqual(evicted, [1, 2, 3]);
+
+  const newest = new LinkedList([1, 2, 3], { capacity: 3, overflow: "drop-newest", onEvict });
+  newest.prepend(0).append(9).concat(LinkedList.of(7, 8));
+  assert.deepEqual(newest.toArray(), [0, 1, 2]);
+  assert.equal(newest.last(), 2);
+  assert.deepEqual(evicted.slice(3), [3, 9, 8, 7]);
+
+  const rejecting = new LinkedList([1], { capacity: 1, overflow: "reject", onEvict });
+  const donor = LinkedList.of(2);
+  rejecting.prepend(0).concat(donor);
+  assert.deepEqual(rejecting.toArray(), [1]);
+  assert.deepEqual(donor.toArray(), [2]);
+  assert.deepEqual(evicted.slice(7), [0]);
+});